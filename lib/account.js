@@ -0,0 +1,102 @@
+'use strict';
+
+// ==========================================
+// PROVIDER ACCOUNT
+// player_api.php without an action: subscription (user_info) and server details (server_info)
+// ==========================================
+
+const { CACHE_CONFIG, ACCOUNT_CONFIG } = require('./config');
+const { xtreamGet, setServerInfo } = require('./xtream');
+const { withCache } = require('./cache');
+
+function fetchAccountInfo(provider) {
+    return withCache(`account:${provider.id}`, CACHE_CONFIG.ttl.account, async () => {
+        const response = await xtreamGet(provider);
+
+        if (!response.data || typeof response.data !== 'object' || !response.data.user_info) {
+            throw new Error('Unexpected account response');
+        }
+        setServerInfo(provider, response.data.server_info);
+        return response.data;
+    });
+}
+
+// Timeshift start times are interpreted in this zone; UTC when the provider does not say
+async function getProviderTimeZone(provider) {
+    try {
+        const { data } = await fetchAccountInfo(provider);
+        return data.server_info?.timezone || 'UTC';
+    } catch {
+        return 'UTC';
+    }
+}
+
+// Xtream panels send numbers as strings and "null"/"" for unlimited
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function toMillis(unixSeconds) {
+    const seconds = toNumber(unixSeconds);
+    return seconds && seconds > 0 ? seconds * 1000 : null;
+}
+
+// Most urgent problem first: rejected credentials, expiry, a disabled/banned account, then upcoming expiry
+function accountAlert(account, now) {
+    const status = account.status.toLowerCase();
+
+    if (!account.authorized) {
+        return { level: 'error', code: 'unauthorized', message: 'The provider rejected the account credentials' };
+    }
+    if (status === 'expired' || (account.expiresAt && account.expiresAt <= now)) {
+        return { level: 'error', code: 'expired', message: 'The subscription has expired' };
+    }
+    if (status !== 'active') {
+        return { level: 'error', code: 'disabled', message: `The account is ${status}` };
+    }
+    if (account.daysLeft !== null && account.daysLeft < ACCOUNT_CONFIG.expiryWarningDays) {
+        const days = `${account.daysLeft} day${account.daysLeft === 1 ? '' : 's'}`;
+        return { level: 'warning', code: 'expiring', message: `The subscription expires in ${days}` };
+    }
+    return null;
+}
+
+// Credentials are left out; times are epoch milliseconds, null meaning "never" or "unknown"
+function normalizeAccount(data, now = Date.now()) {
+    const user = data.user_info || {};
+    const server = data.server_info || {};
+    const expiresAt = toMillis(user.exp_date);
+
+    const account = {
+        status: String(user.status || 'Unknown'),
+        authorized: toNumber(user.auth) !== 0,
+        trial: toNumber(user.is_trial) === 1,
+        createdAt: toMillis(user.created_at),
+        expiresAt,
+        daysLeft: expiresAt ? Math.max(Math.ceil((expiresAt - now) / 86400000), 0) : null,
+        maxConnections: toNumber(user.max_connections),
+        activeConnections: toNumber(user.active_cons) || 0,
+        outputFormats: Array.isArray(user.allowed_output_formats) ? user.allowed_output_formats : []
+    };
+
+    return {
+        account,
+        server: {
+            url: server.url || null,
+            port: toNumber(server.port),
+            httpsPort: toNumber(server.https_port),
+            protocol: server.server_protocol || null,
+            timezone: server.timezone || null,
+            time: toMillis(server.timestamp_now)
+        },
+        alert: accountAlert(account, now)
+    };
+}
+
+module.exports = {
+    fetchAccountInfo,
+    getProviderTimeZone,
+    normalizeAccount
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+// ==========================================
+// EXPRESS APP FACTORY
+// One app for `npm start` (server.js) and Vercel (api/index.js)
+// ==========================================
+
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { CORS_CONFIG } = require('./config');
+
+const pageRoutes = require('./routes/pages');
+const movieRoutes = require('./routes/movies');
+const seriesRoutes = require('./routes/series');
+const liveRoutes = require('./routes/live');
+const playlistRoutes = require('./routes/playlist');
+const subtitleRoutes = require('./routes/subtitles');
+const accountRoutes = require('./routes/account');
+const streamRoutes = require('./routes/stream');
+const searchRoutes = require('./routes/search');
+const utilityRoutes = require('./routes/utility');
+const authRoutes = require('./routes/auth');
+const historyRoutes = require('./routes/history');
+const favoriteRoutes = require('./routes/favorites');
+const streamSessionRoutes = require('./routes/streams');
+const { resolveProvider } = require('./providers');
+const { requireAuth, requirePageSession } = require('./auth');
+const { rateLimit } = require('./rateLimit');
+const { requestLogger } = require('./requestLog');
+const metricsRoutes = require('./routes/metrics');
+
+function createApp() {
+    const app = express();
+
+    // ==========================================
+    // SECURITY MIDDLEWARE
+    // ==========================================
+
+    // Hide server info
+    app.disable('x-powered-by');
+
+    // Request ids, structured request logs and HTTP metrics
+    app.use(requestLogger);
+
+    // CORS: same-origin unless CORS_ORIGINS lists trusted sites
+    app.use(cors({
+        origin: CORS_CONFIG.origins.length > 0 ? CORS_CONFIG.origins : false,
+        credentials: true,
+        methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Range', 'Authorization']
+    }));
+
+    app.use(express.json({ limit: '1mb' }));
+
+    // Block access to sensitive files
+    app.use((req, res, next) => {
+        const blocked = ['.env', '.git', 'node_modules', '.htaccess', 'package.json', 'package-lock.json'];
+        const requestPath = req.path.toLowerCase();
+
+        if (blocked.some(b => requestPath.includes(b))) {
+            return res.status(403).json({ success: false, error: 'Forbidden' });
+        }
+        next();
+    });
+
+    // Pages need a session; their scripts, styles and images stay public
+    app.use(requirePageSession);
+
+    // Static files with security
+    app.use(express.static(path.join(__dirname, '..', 'public'), {
+        dotfiles: 'deny',
+        index: 'index.html',
+        // Lets the request log tell files apart from requests no route handled
+        setHeaders: res => {
+            res.locals.staticFile = true;
+        }
+    }));
+
+    // ==========================================
+    // ROUTES
+    // ==========================================
+
+    app.use(pageRoutes);
+    app.use(authRoutes);
+    app.use(metricsRoutes);
+    app.use(requireAuth);
+    app.use('/api', rateLimit('api'));
+    app.use(searchRoutes);
+    app.use(historyRoutes);
+    app.use(favoriteRoutes);
+    app.use(streamSessionRoutes);
+    app.use(utilityRoutes);
+
+    // Catalog and stream routes exist per provider; unscoped paths use the
+    // default provider (merged across all providers for category listings)
+    const catalogRoutes = [movieRoutes, seriesRoutes, liveRoutes, playlistRoutes, subtitleRoutes, accountRoutes];
+    app.use('/api/providers/:provider', resolveProvider, ...catalogRoutes);
+    app.use('/api', resolveProvider, ...catalogRoutes);
+    app.use('/stream/providers/:provider', resolveProvider, streamRoutes);
+    app.use('/stream', resolveProvider, streamRoutes);
+
+    // ==========================================
+    // ERROR HANDLING
+    // ==========================================
+
+    app.use((req, res) => {
+        res.status(404).json({ success: false, error: 'Not found' });
+    });
+
+    app.use((err, req, res, next) => {
+        // Body parser rejections (oversized uploads, malformed JSON) are the client's fault
+        if (err.status >= 400 && err.status < 500) {
+            const message = err.type === 'entity.too.large' ? 'Request body too large' : 'Invalid request body';
+            return res.status(err.status).json({ success: false, error: message });
+        }
+
+        req.log.error('Server error', { error: err.message });
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
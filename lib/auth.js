@@ -0,0 +1,144 @@
+'use strict';
+
+// ==========================================
+// SESSIONS & ACCESS CONTROL
+// Signed session tokens carried by cookie, bearer header or ?access_token=
+// ==========================================
+
+const crypto = require('crypto');
+const { AUTH_CONFIG } = require('./config');
+const { findUser } = require('./users');
+const { sendError } = require('./helpers');
+
+const SIGNING_KEY = crypto.createHmac('sha256', AUTH_CONFIG.secret).update('session-signature').digest();
+
+// Reachable without a session: health probes, signing in, and live segments (their own token is the credential)
+const PUBLIC_PATHS = ['/api/health', '/api/health/ready', '/api/auth/login', '/api/auth/logout'];
+const LIVE_SEGMENT_PATH = /^\/stream(?:\/providers\/[^/]+)?\/live-segment$/;
+
+function sign(data) {
+    return crypto.createHmac('sha256', SIGNING_KEY).update(data).digest('base64url');
+}
+
+function createSessionToken(user) {
+    const payload = { sub: user.username, exp: Date.now() + AUTH_CONFIG.sessionTtl };
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${sign(data)}`;
+}
+
+// Returns the username, or null when the token is forged, malformed or expired
+function verifySessionToken(token) {
+    if (typeof token !== 'string' || token.length > 1024) return null;
+
+    const [data, signature] = token.split('.');
+    if (!data || !signature) return null;
+
+    const expected = Buffer.from(sign(data));
+    const provided = Buffer.from(signature);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        return typeof payload.sub === 'string' && payload.exp > Date.now() ? payload.sub : null;
+    } catch {
+        return null;
+    }
+}
+
+function readCookie(req, name) {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+// External players (VLC, M3U exports) cannot send cookies, so stream and playlist URLs may carry the token
+function readToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+
+    const cookie = readCookie(req, AUTH_CONFIG.cookieName);
+    if (cookie) return cookie;
+
+    return typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+function setSessionCookie(req, res, token) {
+    res.cookie(AUTH_CONFIG.cookieName, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: AUTH_CONFIG.sessionTtl,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(AUTH_CONFIG.cookieName, { path: '/' });
+}
+
+// Sets req.user / req.sessionToken when the request carries a valid session
+async function loadSession(req) {
+    if (req.user !== undefined) return req.user;
+
+    const token = readToken(req);
+    const username = verifySessionToken(token);
+    const user = username ? await findUser(username) : null;
+
+    req.user = user;
+    req.sessionToken = user ? token : null;
+    return user;
+}
+
+function isGuarded(requestPath) {
+    if (PUBLIC_PATHS.includes(requestPath) || LIVE_SEGMENT_PATH.test(requestPath)) return false;
+    return requestPath.startsWith('/api') || requestPath.startsWith('/stream');
+}
+
+// Guards every /api and /stream route outside PUBLIC_PATHS
+async function requireAuth(req, res, next) {
+    if (!AUTH_CONFIG.enabled || !isGuarded(req.path)) return next();
+
+    try {
+        if (await loadSession(req)) return next();
+        sendError(res, 401, 'Authentication required');
+    } catch (error) {
+        next(error);
+    }
+}
+
+// HTML pages redirect to /login when there is no session; static assets stay public
+async function requirePageSession(req, res, next) {
+    if (!AUTH_CONFIG.enabled || req.method !== 'GET') return next();
+
+    const requestPath = req.path;
+    const isPage = requestPath === '/' || requestPath.endsWith('.html') || !requestPath.includes('.');
+    const isLogin = requestPath === '/login' || requestPath === '/login.html';
+
+    if (!isPage || isLogin || requestPath.startsWith('/api') || requestPath.startsWith('/stream')) return next();
+
+    try {
+        if (await loadSession(req)) return next();
+        res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = {
+    createSessionToken,
+    verifySessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    loadSession,
+    requireAuth,
+    requirePageSession
+};
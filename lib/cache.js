@@ -0,0 +1,121 @@
+'use strict';
+
+// ==========================================
+// KEYED RESPONSE CACHE
+// Stale-while-revalidate: expired entries are served immediately
+// while a single background refresh replaces them
+// ==========================================
+
+const { CACHE_CONFIG } = require('./config');
+const logger = require('./logger');
+const { gauge, addCollector, recordCacheLookup } = require('./metrics');
+
+const entries = new Map();
+const pending = new Map();
+
+const cacheEntries = gauge('iptv_cache_entries', 'Entries held in the response cache');
+addCollector(() => cacheEntries.set({}, entries.size));
+
+// Pinned entries (full catalogs) are never evicted to make room for others
+function storeEntry(key, data, { timestamp = Date.now(), pinned = false } = {}) {
+    // Map keeps insertion order, so re-inserting marks the key as most recent
+    entries.delete(key);
+    entries.set(key, { data, timestamp, pinned, refreshFailed: false });
+
+    if (entries.size <= CACHE_CONFIG.maxEntries) return;
+
+    for (const [cacheKey, entry] of entries) {
+        if (entries.size <= CACHE_CONFIG.maxEntries) break;
+        if (!entry.pinned) entries.delete(cacheKey);
+    }
+}
+
+// Concurrent callers for the same key share one upstream request
+function refreshCache(key, loader, options = {}) {
+    if (pending.has(key)) return pending.get(key);
+
+    const request = Promise.resolve()
+        .then(loader)
+        .then(data => {
+            storeEntry(key, data, { pinned: options.pinned });
+            return data;
+        })
+        .catch(error => {
+            // Keep serving what we have, but flag it as stale until a refresh succeeds
+            const entry = entries.get(key);
+            if (entry) entry.refreshFailed = true;
+            throw error;
+        })
+        .finally(() => pending.delete(key));
+
+    pending.set(key, request);
+    return request;
+}
+
+// Resolves to { data, cached, stale, age } where age is in seconds
+async function withCache(key, ttl, loader, options = {}) {
+    const entry = entries.get(key);
+
+    if (!entry) {
+        recordCacheLookup('miss');
+        const data = await refreshCache(key, loader, options);
+        return { data, cached: false, stale: false, age: 0 };
+    }
+
+    const ageMs = Date.now() - entry.timestamp;
+    const expired = ageMs >= ttl;
+    recordCacheLookup(expired ? 'stale' : 'hit');
+
+    if (expired) {
+        refreshCache(key, loader, options).catch(error => {
+            logger.warn('Cache refresh failed', { key, error: error.message });
+        });
+    }
+
+    return { data: entry.data, cached: true, stale: expired || entry.refreshFailed, age: Math.floor(ageMs / 1000) };
+}
+
+// Seeds an entry with data loaded from elsewhere (e.g. a disk snapshot), keeping its original age
+function primeCache(key, data, options = {}) {
+    if (!entries.has(key)) storeEntry(key, data, options);
+}
+
+// Clears one key, every key starting with prefix, or everything when neither is given
+function clearCache({ key, prefix } = {}) {
+    if (key) return entries.delete(key) ? 1 : 0;
+
+    if (prefix) {
+        let removed = 0;
+        for (const cacheKey of [...entries.keys()]) {
+            if (cacheKey.startsWith(prefix)) {
+                entries.delete(cacheKey);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    const removed = entries.size;
+    entries.clear();
+    return removed;
+}
+
+// Current entry without counting a lookup or triggering a refresh: { data, age, refreshFailed } or null
+function peekCache(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    return { data: entry.data, age: Math.floor((Date.now() - entry.timestamp) / 1000), refreshFailed: entry.refreshFailed };
+}
+
+function getCacheStats() {
+    return { entries: entries.size, pending: pending.size, maxEntries: CACHE_CONFIG.maxEntries };
+}
+
+module.exports = {
+    withCache,
+    refreshCache,
+    primeCache,
+    peekCache,
+    clearCache,
+    getCacheStats
+};
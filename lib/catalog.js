@@ -0,0 +1,129 @@
+'use strict';
+
+// ==========================================
+// CATALOG MAPPING
+// Normalizes Xtream responses into the shapes the frontend uses
+// ==========================================
+
+const { CACHE_CONFIG } = require('./config');
+const { xtreamGet } = require('./xtream');
+const { withCache } = require('./cache');
+const { getProviders, collectFromProviders, mergeCategories } = require('./providers');
+
+// Every item carries its provider id (for routing) and display name (for the source badge)
+function tagSource(provider) {
+    return { provider: provider.id, source: provider.name };
+}
+
+function mapMovie(m, provider) {
+    return {
+        id: m.stream_id,
+        name: m.name || 'Unknown',
+        icon: m.stream_icon || '/placeholder.jpg',
+        extension: m.container_extension || 'mp4',
+        rating: m.rating || 'N/A',
+        year: m.releasedate || 'N/A',
+        category: m.category_id,
+        added: m.added || null,
+        ...tagSource(provider)
+    };
+}
+
+function mapSeries(s, provider) {
+    return {
+        id: s.series_id,
+        name: s.name || 'Unknown',
+        icon: s.cover || '/placeholder.jpg',
+        rating: s.rating || 'N/A',
+        year: s.releaseDate || 'N/A',
+        category: s.category_id,
+        plot: s.plot || '',
+        added: s.last_modified || null,
+        ...tagSource(provider)
+    };
+}
+
+function mapChannel(ch, provider) {
+    return {
+        id: ch.stream_id,
+        name: ch.name || 'Unknown',
+        icon: ch.stream_icon || '/placeholder.jpg',
+        category: ch.category_id,
+        epgChannelId: ch.epg_channel_id,
+        // Catch-up: the provider keeps `archiveDays` of this channel for timeshift playback
+        archive: String(ch.tv_archive) === '1',
+        archiveDays: parseInt(ch.tv_archive_duration) || 0,
+        added: ch.added || null,
+        ...tagSource(provider)
+    };
+}
+
+// Categories from every given provider, same-named ones merged (see mergeCategories)
+async function fetchCategories(providers, action) {
+    const categories = await collectFromProviders(providers, async provider => {
+        const response = await xtreamGet(provider, action);
+        const list = Array.isArray(response.data) ? response.data : [];
+        return list.map(cat => ({ ...cat, ...tagSource(provider) }));
+    });
+
+    return mergeCategories(categories);
+}
+
+const CATALOG_TYPES = {
+    movies: { action: 'get_vod_streams', categoriesAction: 'get_vod_categories', map: mapMovie },
+    series: { action: 'get_series', categoriesAction: 'get_series_categories', map: mapSeries },
+    live: { action: 'get_live_streams', categoriesAction: 'get_live_categories', map: mapChannel }
+};
+
+// Whole catalog of one type ('movies', 'series' or 'live') across providers
+async function fetchFullCatalog(type, providers = getProviders()) {
+    const { action, map } = CATALOG_TYPES[type];
+
+    return collectFromProviders(providers, async provider => {
+        const response = await xtreamGet(provider, action, {}, { timeout: 30000 });
+
+        if (!response.data || !Array.isArray(response.data)) {
+            throw new Error('Invalid upstream response');
+        }
+
+        return response.data.map(item => map(item, provider));
+    });
+}
+
+// One provider category, cached per provider and category; resolves like withCache
+function fetchCategoryItems(provider, type, categoryId) {
+    const { action, map } = CATALOG_TYPES[type];
+
+    return withCache(`${type}:category:${provider.id}:${categoryId}`, CACHE_CONFIG.ttl.category, async () => {
+        const response = await xtreamGet(provider, action, { category_id: categoryId }, { timeout: 30000 });
+        return (Array.isArray(response.data) ? response.data : []).map(item => map(item, provider));
+    });
+}
+
+// Raw get_series_info (info + episodes by season), cached per provider and series
+function fetchSeriesInfo(provider, seriesId) {
+    return withCache(`series:info:${provider.id}:${seriesId}`, CACHE_CONFIG.ttl.info, async () => {
+        const response = await xtreamGet(provider, 'get_series_info', { series_id: seriesId });
+        return response.data;
+    });
+}
+
+// Raw get_vod_info (info + movie_data), cached per provider and movie
+function fetchMovieInfo(provider, movieId) {
+    return withCache(`movie:info:${provider.id}:${movieId}`, CACHE_CONFIG.ttl.info, async () => {
+        const response = await xtreamGet(provider, 'get_vod_info', { vod_id: movieId });
+        return response.data;
+    });
+}
+
+module.exports = {
+    CATALOG_TYPES,
+    mapMovie,
+    mapSeries,
+    mapChannel,
+    fetchCategories,
+    fetchFullCatalog,
+    fetchCategoryItems,
+    fetchSeriesInfo,
+    fetchMovieInfo
+};
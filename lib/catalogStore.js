@@ -0,0 +1,94 @@
+'use strict';
+
+// ==========================================
+// PERSISTENT CATALOG STORE
+// Full catalogs are snapshotted to disk so restarts start warm and an
+// unreachable provider still leaves the last good copy to serve
+// ==========================================
+
+const fs = require('fs/promises');
+const path = require('path');
+const { CACHE_CONFIG, STORAGE_CONFIG } = require('./config');
+const { fetchFullCatalog, CATALOG_TYPES } = require('./catalog');
+const { withCache, refreshCache, primeCache } = require('./cache');
+const logger = require('./logger');
+
+const SNAPSHOT_DIR = path.join(STORAGE_CONFIG.dataDir, 'catalog');
+
+function snapshotPath(type) {
+    return path.join(SNAPSHOT_DIR, `${type}.json`);
+}
+
+async function readSnapshot(type) {
+    try {
+        const snapshot = JSON.parse(await fs.readFile(snapshotPath(type), 'utf8'));
+        return Array.isArray(snapshot.items) ? snapshot : null;
+    } catch {
+        return null;
+    }
+}
+
+// Written to a temp file first so a crash never leaves a half-written snapshot
+async function writeSnapshot(type, items) {
+    const target = snapshotPath(type);
+    const temp = `${target}.${process.pid}.tmp`;
+
+    await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+    await fs.writeFile(temp, JSON.stringify({ type, savedAt: Date.now(), count: items.length, items }));
+    await fs.rename(temp, target);
+}
+
+async function fetchAndPersist(type) {
+    const items = await fetchFullCatalog(type);
+
+    if (STORAGE_CONFIG.catalogSnapshots) {
+        await writeSnapshot(type, items).catch(error => {
+            logger.warn('Could not save catalog snapshot', { type, error: error.message });
+        });
+    }
+
+    return items;
+}
+
+// Resolves to { data, cached, stale, age } like withCache
+async function getFullCatalog(type) {
+    return withCache(`${type}:all`, CACHE_CONFIG.ttl.catalog, () => fetchAndPersist(type), { pinned: true });
+}
+
+// Seeds the cache from disk; entries keep their saved age so expired ones refresh on first use
+async function loadSnapshots() {
+    if (!STORAGE_CONFIG.catalogSnapshots) return;
+
+    await Promise.all(Object.keys(CATALOG_TYPES).map(async type => {
+        const snapshot = await readSnapshot(type);
+        if (!snapshot) return;
+
+        primeCache(`${type}:all`, snapshot.items, { timestamp: snapshot.savedAt || 0, pinned: true });
+        logger.info('Loaded catalog snapshot', { type, items: snapshot.items.length });
+    }));
+}
+
+async function refreshCatalogs() {
+    await Promise.all(Object.keys(CATALOG_TYPES).map(type =>
+        refreshCache(`${type}:all`, () => fetchAndPersist(type), { pinned: true }).catch(error => {
+            logger.warn('Catalog refresh failed, serving last snapshot', { type, error: error.message });
+        })
+    ));
+}
+
+// Loads snapshots, then refreshes every catalog now and every CACHE_DURATION
+async function startCatalogSync() {
+    await loadSnapshots();
+    refreshCatalogs();
+
+    const timer = setInterval(refreshCatalogs, CACHE_CONFIG.duration);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    getFullCatalog,
+    loadSnapshots,
+    refreshCatalogs,
+    startCatalogSync
+};
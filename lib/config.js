@@ -0,0 +1,313 @@
+'use strict';
+
+// ==========================================
+// CONFIGURATION & VALIDATION
+// Shared by server.js and the Vercel handler
+// ==========================================
+
+require('dotenv').config();
+const crypto = require('crypto');
+const path = require('path');
+
+// URLs from a JSON array or a comma-separated string, trailing slashes removed
+function parseUrlList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(url => String(url || '').trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+// Live output /stream/live/<id> serves unless the request picks one with ?format=: HLS playlists or raw MPEG-TS.
+// The web player always asks for m3u8; the provider default applies to external players and M3U exports.
+const LIVE_FORMATS = ['m3u8', 'ts'];
+
+function parseLiveFormat(value) {
+    const format = String(value || '').toLowerCase();
+    return LIVE_FORMATS.includes(format) ? format : 'm3u8';
+}
+
+const IPTV_CONFIG = {
+    serverUrl: process.env.IPTV_SERVER_URL?.replace(/\/+$/, ''), // Remove trailing slashes
+    backupUrls: parseUrlList(process.env.IPTV_BACKUP_URLS),
+    // Overrides the stream host, port and protocol the provider reports in server_info
+    streamUrl: parseUrlList(process.env.IPTV_STREAM_URL)[0] || null,
+    liveFormat: parseLiveFormat(process.env.IPTV_LIVE_FORMAT),
+    username: process.env.IPTV_USERNAME,
+    password: process.env.IPTV_PASSWORD
+};
+
+// Provider accounts: IPTV_PROVIDERS (JSON array) or the single IPTV_* account above.
+// Lower priority numbers win: they become the default provider and list first in merged views.
+function parseProviders() {
+    if (!process.env.IPTV_PROVIDERS) {
+        return [{ id: 'default', name: 'Default', priority: 1, ...IPTV_CONFIG }];
+    }
+
+    let entries;
+    try {
+        entries = JSON.parse(process.env.IPTV_PROVIDERS);
+    } catch {
+        return [];
+    }
+
+    if (!Array.isArray(entries)) return [];
+
+    return entries
+        .filter(entry => entry && typeof entry === 'object')
+        .map((entry, index) => ({
+            id: String(entry.id || '').toLowerCase(),
+            name: entry.name || entry.id || `Provider ${index + 1}`,
+            priority: Number.isFinite(Number(entry.priority)) ? Number(entry.priority) : index + 1,
+            serverUrl: String(entry.serverUrl || '').replace(/\/+$/, ''),
+            backupUrls: parseUrlList(entry.backupUrls),
+            streamUrl: parseUrlList(entry.streamUrl)[0] || null,
+            liveFormat: parseLiveFormat(entry.liveFormat),
+            username: entry.username,
+            password: entry.password
+        }))
+        .sort((a, b) => a.priority - b.priority);
+}
+
+// The primary server first, then the backups the upstream layer falls over to in order
+const PROVIDER_CONFIGS = parseProviders().map(provider => ({
+    ...provider,
+    serverUrls: [provider.serverUrl, ...provider.backupUrls]
+}));
+
+const CACHE_DURATION = parseInt(process.env.CACHE_DURATION) || 3600000;
+
+// Per-route TTLs in milliseconds; entries past their TTL are served stale while refreshing
+const CACHE_CONFIG = {
+    duration: CACHE_DURATION,
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500,
+    ttl: {
+        catalog: CACHE_DURATION,
+        categories: parseInt(process.env.CACHE_TTL_CATEGORIES) || CACHE_DURATION,
+        category: parseInt(process.env.CACHE_TTL_CATEGORY) || 900000,
+        info: parseInt(process.env.CACHE_TTL_INFO) || 21600000,
+        epg: parseInt(process.env.CACHE_TTL_EPG) || 300000,
+        account: parseInt(process.env.CACHE_TTL_ACCOUNT) || 600000
+    }
+};
+
+// Subscription warnings (startup log and the home page banner) start this many days before expiry
+const ACCOUNT_CONFIG = {
+    expiryWarningDays: parseInt(process.env.ACCOUNT_EXPIRY_WARNING_DAYS) || 7
+};
+
+// Local state (catalog snapshots and the like); Vercel only allows writes under /tmp
+const STORAGE_CONFIG = {
+    dataDir: process.env.DATA_DIR || (process.env.VERCEL ? '/tmp/iptv-data' : path.join(__dirname, '..', 'data')),
+    catalogSnapshots: process.env.CATALOG_SNAPSHOTS !== 'false'
+};
+
+// Live segment tokens are encrypted (provider URLs embed credentials) and HMAC-signed
+const STREAM_TOKEN_CONFIG = {
+    secret: process.env.STREAM_TOKEN_SECRET,
+    ttl: parseInt(process.env.STREAM_TOKEN_TTL) || 21600000,
+    extraHosts: (process.env.IPTV_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+};
+
+const MIN_SECRET_LENGTH = 32;
+
+// Why a configured secret cannot be trusted, or null when it can; copied example values are public
+function weakSecretReason(secret) {
+    if (!secret) return 'not set';
+    if (/change[_-]?me|replace[_-]?with|your[_-]?secret|placeholder|example/i.test(secret)) return 'a placeholder value';
+    if (secret.length < MIN_SECRET_LENGTH) return `shorter than ${MIN_SECRET_LENGTH} characters`;
+    return null;
+}
+
+const streamSecretProblem = weakSecretReason(STREAM_TOKEN_CONFIG.secret);
+if (streamSecretProblem) {
+    console.warn(`⚠️  STREAM_TOKEN_SECRET is ${streamSecretProblem}, using a per-process secret (tokens reset on restart)`);
+    STREAM_TOKEN_CONFIG.secret = crypto.randomBytes(32).toString('hex');
+}
+
+// JSON lines on stdout (warnings and errors on stderr); debug adds per-segment live proxy logs
+const LOG_CONFIG = {
+    level: ['debug', 'info', 'warn', 'error'].includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info'
+};
+
+// /api/metrics needs a signed-in user, or this bearer token so a Prometheus server can scrape it
+const METRICS_CONFIG = {
+    token: process.env.METRICS_TOKEN || null
+};
+
+// Sliding-window request limits per client IP and per signed-in user (requests per window)
+const RATE_LIMIT_CONFIG = {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000,
+    limits: {
+        api: {
+            perIp: parseInt(process.env.RATE_LIMIT_API_IP) || 600,
+            perUser: parseInt(process.env.RATE_LIMIT_API_USER) || 300
+        },
+        // New stream sessions (movies, episodes, live channels, catch-up)
+        streams: {
+            perIp: parseInt(process.env.RATE_LIMIT_STREAMS_IP) || 30,
+            perUser: parseInt(process.env.RATE_LIMIT_STREAMS_USER) || 20
+        },
+        // Full-catalog responses (/api/movies, /api/playlist.m3u)
+        catalog: {
+            perIp: parseInt(process.env.RATE_LIMIT_CATALOG_IP) || 10,
+            perUser: parseInt(process.env.RATE_LIMIT_CATALOG_USER) || 5
+        }
+    }
+};
+
+// Concurrent VOD/series streams per provider; defaults to the account's max_connections
+const STREAM_SESSION_CONFIG = {
+    maxSessions: parseInt(process.env.STREAM_MAX_SESSIONS) || null,
+    // How long a session keeps its slot after its last connection closed (pauses, seeks)
+    graceMs: parseInt(process.env.STREAM_SESSION_GRACE) || 20000
+};
+
+// Optional ffmpeg fallback that remuxes/transcodes VOD to fragmented MP4 for the browser
+const TRANSCODE_CONFIG = {
+    enabled: process.env.TRANSCODE_ENABLED === 'true',
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+    maxJobs: parseInt(process.env.TRANSCODE_MAX_JOBS) || 2
+};
+
+// /api/health/ready probes each provider; results are reused for `intervalMs` so frequent probes do not hammer it
+const HEALTH_CONFIG = {
+    timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 5000,
+    slowMs: parseInt(process.env.HEALTH_SLOW_MS) || 2000,
+    intervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL) || 15000
+};
+
+// Retries and circuit breaking for player_api.php calls; failures also switch to the next backup server URL
+const UPSTREAM_CONFIG = {
+    retries: Math.max(0, parseInt(process.env.UPSTREAM_RETRIES ?? 2) || 0),
+    retryBaseMs: parseInt(process.env.UPSTREAM_RETRY_DELAY) || 300,
+    retryMaxMs: parseInt(process.env.UPSTREAM_RETRY_MAX_DELAY) || 5000,
+    // Consecutive failed calls that open the circuit, and how long it stays open before one trial call
+    breakerThreshold: parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD) || 5,
+    breakerCooldownMs: parseInt(process.env.UPSTREAM_BREAKER_COOLDOWN) || 30000
+};
+
+// Local user accounts guard /api and /stream; sessions are HMAC-signed tokens sent as a cookie or bearer
+const AUTH_CONFIG = {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    secret: process.env.AUTH_SECRET,
+    sessionTtl: parseInt(process.env.AUTH_SESSION_TTL) || 604800000,
+    cookieName: 'iptv_session',
+    // Seeds the first account when the user store is empty
+    adminUsername: process.env.ADMIN_USERNAME,
+    adminPassword: process.env.ADMIN_PASSWORD
+};
+
+const authSecretProblem = weakSecretReason(AUTH_CONFIG.secret);
+if (authSecretProblem) {
+    if (AUTH_CONFIG.enabled) console.warn(`⚠️  AUTH_SECRET is ${authSecretProblem}, using a per-process secret (everyone is signed out on restart)`);
+    AUTH_CONFIG.secret = crypto.randomBytes(32).toString('hex');
+}
+
+// Browser origins allowed to call the API cross-site; empty means same-origin only
+const CORS_CONFIG = {
+    origins: (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean)
+};
+
+// Strict environment validation, returns a list of problems (empty when valid)
+function validateConfig() {
+    if (process.env.IPTV_PROVIDERS) return validateProviders();
+
+    const required = ['IPTV_SERVER_URL', 'IPTV_USERNAME', 'IPTV_PASSWORD'];
+    const errors = required
+        .filter(key => !process.env[key])
+        .map(key => `Missing required environment variable: ${key}`);
+
+    if (errors.length > 0) return errors;
+
+    try {
+        new URL(IPTV_CONFIG.serverUrl);
+    } catch {
+        errors.push('Invalid IPTV_SERVER_URL format');
+    }
+
+    IPTV_CONFIG.backupUrls.forEach(url => {
+        try {
+            new URL(url);
+        } catch {
+            errors.push(`Invalid URL in IPTV_BACKUP_URLS: ${url}`);
+        }
+    });
+
+    if (IPTV_CONFIG.streamUrl) {
+        try {
+            new URL(IPTV_CONFIG.streamUrl);
+        } catch {
+            errors.push('Invalid IPTV_STREAM_URL format');
+        }
+    }
+
+    return errors;
+}
+
+function validateProviders() {
+    if (PROVIDER_CONFIGS.length === 0) {
+        return ['IPTV_PROVIDERS must be a non-empty JSON array of provider objects'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+
+    PROVIDER_CONFIGS.forEach((provider, index) => {
+        const label = provider.id || `#${index + 1}`;
+
+        if (!/^[a-z0-9_-]{1,32}$/.test(provider.id)) {
+            errors.push(`Provider ${label}: id must be 1-32 characters of a-z, 0-9, _ or -`);
+        } else if (seen.has(provider.id)) {
+            errors.push(`Provider ${label}: duplicate id`);
+        }
+        seen.add(provider.id);
+
+        if (!provider.username || !provider.password) {
+            errors.push(`Provider ${label}: username and password are required`);
+        }
+
+        try {
+            new URL(provider.serverUrl);
+        } catch {
+            errors.push(`Provider ${label}: invalid serverUrl`);
+        }
+
+        provider.backupUrls.forEach(url => {
+            try {
+                new URL(url);
+            } catch {
+                errors.push(`Provider ${label}: invalid backup URL ${url}`);
+            }
+        });
+
+        if (provider.streamUrl) {
+            try {
+                new URL(provider.streamUrl);
+            } catch {
+                errors.push(`Provider ${label}: invalid streamUrl`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    IPTV_CONFIG,
+    PROVIDER_CONFIGS,
+    LIVE_FORMATS,
+    CACHE_CONFIG,
+    ACCOUNT_CONFIG,
+    STORAGE_CONFIG,
+    STREAM_TOKEN_CONFIG,
+    LOG_CONFIG,
+    METRICS_CONFIG,
+    RATE_LIMIT_CONFIG,
+    STREAM_SESSION_CONFIG,
+    TRANSCODE_CONFIG,
+    HEALTH_CONFIG,
+    UPSTREAM_CONFIG,
+    AUTH_CONFIG,
+    CORS_CONFIG,
+    validateConfig
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+// ==========================================
+// EPG
+// Programme guide for live channels via get_short_epg / get_simple_data_table
+// ==========================================
+
+const { CACHE_CONFIG } = require('./config');
+const { xtreamGet } = require('./xtream');
+const { withCache } = require('./cache');
+
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// Xtream base64-encodes titles and descriptions; plain text that merely looks like base64 is kept as-is
+function decodeText(value) {
+    if (typeof value !== 'string' || value === '') return '';
+    if (!BASE64_PATTERN.test(value)) return value;
+
+    const decoded = Buffer.from(value, 'base64').toString('utf8');
+    // U+FFFD means the bytes were not UTF-8; control characters mean it was never base64
+    if (decoded.includes('\uFFFD') || /[\u0000-\u0008\u000E-\u001F]/.test(decoded)) return value;
+    return decoded.trim();
+}
+
+function toSeconds(timestamp, fallback) {
+    const seconds = parseInt(timestamp);
+    if (Number.isFinite(seconds)) return seconds;
+    const parsed = Date.parse(fallback);
+    return Number.isFinite(parsed) ? Math.floor(parsed / 1000) : null;
+}
+
+function mapProgramme(entry) {
+    return {
+        id: entry.id || null,
+        title: decodeText(entry.title) || 'Unknown programme',
+        description: decodeText(entry.description),
+        start: toSeconds(entry.start_timestamp, entry.start),
+        end: toSeconds(entry.stop_timestamp, entry.end || entry.stop),
+        hasArchive: String(entry.has_archive) === '1'
+    };
+}
+
+// Current and following programme at `now` (unix seconds)
+function nowAndNext(programmes, now = Math.floor(Date.now() / 1000)) {
+    const current = programmes.find(p => p.start <= now && p.end > now) || null;
+    const next = programmes.find(p => p.start >= (current ? current.end : now)) || null;
+    return { now: current, next };
+}
+
+// Programmes sorted by start; `full` asks for the whole stored schedule instead of the next few
+async function fetchEpg(provider, streamId, { full = false, limit = 4 } = {}) {
+    const action = full ? 'get_simple_data_table' : 'get_short_epg';
+    const params = full ? { stream_id: streamId } : { stream_id: streamId, limit };
+    const key = `live:epg:${provider.id}:${streamId}:${full ? 'full' : limit}`;
+
+    return withCache(key, CACHE_CONFIG.ttl.epg, async () => {
+        const response = await xtreamGet(provider, action, params);
+        const listings = Array.isArray(response.data?.epg_listings) ? response.data.epg_listings : [];
+
+        return listings
+            .map(mapProgramme)
+            .filter(p => p.start !== null && p.end !== null)
+            .sort((a, b) => a.start - b.start);
+    });
+}
+
+module.exports = {
+    decodeText,
+    nowAndNext,
+    fetchEpg
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+// ==========================================
+// FAVORITES / WATCHLIST
+// Per-user saved titles and channels in <DATA_DIR>/favorites/<user>.json
+// ==========================================
+
+const { createUserStore } = require('./userData');
+
+const FAVORITE_TYPES = ['movie', 'series', 'live'];
+const MAX_FAVORITES = 1000;
+
+const store = createUserStore('favorites');
+
+function favoriteKey(type, provider, id) {
+    return `${type}:${provider}:${id}`;
+}
+
+// `item` holds the card fields (name, icon, rating...) so lists render without refetching the catalog.
+// Returns null when the list is full.
+async function addFavorite(owner, { type, provider, id, item }) {
+    const entries = await store.load(owner);
+    const key = favoriteKey(type, provider, id);
+
+    if (!entries[key] && Object.keys(entries).length >= MAX_FAVORITES) return null;
+
+    entries[key] = { ...item, type, provider, id, addedAt: entries[key]?.addedAt || Date.now() };
+    await store.save(owner);
+    return entries[key];
+}
+
+async function removeFavorite(owner, type, provider, id) {
+    const entries = await store.load(owner);
+    const key = favoriteKey(type, provider, id);
+    if (!entries[key]) return false;
+
+    delete entries[key];
+    await store.save(owner);
+    return true;
+}
+
+// Newest first
+async function listFavorites(owner, type) {
+    const entries = Object.values(await store.load(owner));
+
+    return entries
+        .filter(entry => !type || entry.type === type)
+        .sort((a, b) => b.addedAt - a.addedAt);
+}
+
+module.exports = {
+    FAVORITE_TYPES,
+    MAX_FAVORITES,
+    addFavorite,
+    removeFavorite,
+    listFavorites
+};
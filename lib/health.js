@@ -0,0 +1,173 @@
+'use strict';
+
+// ==========================================
+// READINESS CHECKS
+// Probes every provider the way real traffic would: account authentication,
+// API latency and one live playlist, plus how fresh the cached catalogs are
+// ==========================================
+
+const axios = require('axios');
+const { CACHE_CONFIG, HEALTH_CONFIG } = require('./config');
+const { xtreamGet, buildLiveUrl } = require('./xtream');
+const { normalizeAccount } = require('./account');
+const { peekCache } = require('./cache');
+const { CATALOG_TYPES } = require('./catalog');
+const { getProviders } = require('./providers');
+const { liveHeaders } = require('./hls');
+const { getCircuitState } = require('./upstream');
+
+let lastReport = null;
+let pending = null;
+
+// Worst of the given check statuses; skipped checks do not count
+function worstStatus(statuses) {
+    if (statuses.includes('fail')) return 'fail';
+    if (statuses.includes('warn')) return 'warn';
+    return 'pass';
+}
+
+// Uncached, single-attempt player_api.php call: a failure here means the provider cannot serve anything.
+// Probes leave the circuit breaker alone, so a provider that is down is still probed during the cooldown.
+async function checkAuth(provider) {
+    const started = Date.now();
+
+    try {
+        const response = await xtreamGet(provider, undefined, {}, { timeout: HEALTH_CONFIG.timeoutMs, recordBreaker: false });
+        const ms = Date.now() - started;
+        const latency = { status: ms > HEALTH_CONFIG.slowMs ? 'warn' : 'pass', ms };
+
+        if (response.status >= 400) {
+            return { auth: { status: 'fail', error: `Provider answered HTTP ${response.status}` }, latency };
+        }
+        if (!response.data || typeof response.data !== 'object' || !response.data.user_info) {
+            return { auth: { status: 'fail', error: 'Unexpected account response' }, latency };
+        }
+
+        const { account, alert } = normalizeAccount(response.data);
+        const auth = { status: 'pass', account: account.status };
+        if (alert) {
+            auth.status = alert.level === 'error' ? 'fail' : 'warn';
+            auth.alert = alert.code;
+            auth.message = alert.message;
+        }
+        return { auth, latency };
+    } catch (error) {
+        return {
+            auth: { status: 'fail', error: error.code === 'ECONNABORTED' ? 'Timed out' : error.message },
+            latency: { status: 'fail', ms: Date.now() - started }
+        };
+    }
+}
+
+// A channel from the cached live catalog, or the first one of the first live category
+async function pickChannel(provider) {
+    const cached = peekCache('live:all');
+    const channel = cached && cached.data.find(item => item.provider === provider.id);
+    if (channel) return channel.id;
+
+    const options = { timeout: HEALTH_CONFIG.timeoutMs, recordBreaker: false };
+    const categories = await xtreamGet(provider, 'get_live_categories', {}, options);
+    const category = Array.isArray(categories.data) ? categories.data[0] : null;
+    if (!category) return null;
+
+    const streams = await xtreamGet(provider, 'get_live_streams', { category_id: category.category_id }, options);
+    return Array.isArray(streams.data) && streams.data[0] ? streams.data[0].stream_id : null;
+}
+
+async function checkLivePlaylist(provider) {
+    const started = Date.now();
+
+    try {
+        const channel = await pickChannel(provider);
+        if (!channel) return { status: 'warn', error: 'No live channels to probe' };
+
+        const liveUrl = buildLiveUrl(provider, channel);
+        const response = await axios({
+            method: 'GET',
+            url: liveUrl,
+            responseType: 'text',
+            timeout: HEALTH_CONFIG.timeoutMs,
+            headers: liveHeaders(liveUrl),
+            maxRedirects: 5,
+            validateStatus: () => true
+        });
+        const result = { channel, ms: Date.now() - started };
+
+        if (response.status !== 200) return { status: 'fail', ...result, error: `Playlist answered HTTP ${response.status}` };
+        if (typeof response.data !== 'string' || !response.data.includes('#EXTM3U')) {
+            return { status: 'fail', ...result, error: 'Response is not an HLS playlist' };
+        }
+        return { status: 'pass', ...result };
+    } catch (error) {
+        return { status: 'fail', ms: Date.now() - started, error: error.code === 'ECONNABORTED' ? 'Timed out' : error.message };
+    }
+}
+
+async function checkProvider(provider) {
+    const { auth, latency } = await checkAuth(provider);
+
+    // No point probing a stream with an account the provider just refused
+    const livePlaylist = auth.status === 'fail'
+        ? { status: 'skip' }
+        : await checkLivePlaylist(provider);
+
+    const checks = { auth, latency, livePlaylist };
+    return {
+        provider: provider.id,
+        name: provider.name,
+        status: auth.status === 'fail' ? 'fail' : worstStatus(Object.values(checks).map(check => check.status)),
+        circuit: getCircuitState(provider),
+        checks
+    };
+}
+
+// Catalog snapshots past their TTL, or whose last refresh failed, are still served but stale
+function checkCache() {
+    const catalogs = {};
+
+    Object.keys(CATALOG_TYPES).forEach(type => {
+        const entry = peekCache(`${type}:all`);
+        if (!entry) {
+            catalogs[type] = { status: 'warn', loaded: false };
+            return;
+        }
+
+        const stale = entry.refreshFailed || entry.age * 1000 >= CACHE_CONFIG.ttl.catalog;
+        catalogs[type] = { status: stale ? 'warn' : 'pass', loaded: true, items: entry.data.length, age: entry.age, stale };
+    });
+
+    return { status: worstStatus(Object.values(catalogs).map(catalog => catalog.status)), catalogs };
+}
+
+// 'unavailable' once no provider can authenticate, 'degraded' when any check failed or warned
+async function runChecks() {
+    const providers = await Promise.all(getProviders().map(checkProvider));
+    const cache = checkCache();
+
+    let status = 'ready';
+    if (providers.every(provider => provider.status === 'fail')) status = 'unavailable';
+    else if (worstStatus([...providers.map(provider => provider.status), cache.status]) !== 'pass') status = 'degraded';
+
+    return { status, checkedAt: new Date().toISOString(), providers, checks: { cache } };
+}
+
+// Orchestrators poll often, so a recent report is reused and concurrent probes share one run
+function getReadiness() {
+    if (lastReport && Date.now() - lastReport.at < HEALTH_CONFIG.intervalMs) return Promise.resolve(lastReport.report);
+
+    if (!pending) {
+        pending = runChecks()
+            .then(report => {
+                lastReport = { at: Date.now(), report };
+                return report;
+            })
+            .finally(() => {
+                pending = null;
+            });
+    }
+    return pending;
+}
+
+module.exports = {
+    getReadiness
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+function sanitizeId(id) {
+    if (!id) return null;
+    const clean = String(id).replace(/[^a-zA-Z0-9_-]/g, '');
+    return clean.length > 0 && clean.length <= 50 ? clean : null;
+}
+
+function sanitizeExtension(ext) {
+    const allowed = ['mp4', 'mkv', 'avi', 'm3u8', 'ts'];
+    const clean = String(ext || 'mp4').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return allowed.includes(clean) ? clean : 'mp4';
+}
+
+function sendError(res, status, message) {
+    if (!res.headersSent) {
+        res.status(status).json({ success: false, error: message });
+    }
+}
+
+module.exports = {
+    sanitizeId,
+    sanitizeExtension,
+    sendError
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+// ==========================================
+// WATCH HISTORY
+// Per-user playback positions in <DATA_DIR>/history/<user>.json
+// ==========================================
+
+const { createUserStore } = require('./userData');
+
+const HISTORY_TYPES = ['movie', 'series', 'live'];
+const MAX_ENTRIES = 500;
+// Past this share of the runtime a title counts as watched (credits rarely get played)
+const COMPLETED_RATIO = 0.92;
+
+const store = createUserStore('history');
+
+function entryKey(type, provider, id) {
+    return `${type}:${provider}:${id}`;
+}
+
+// Keeps only the most recently updated entries
+function trim(entries) {
+    const keys = Object.keys(entries);
+    if (keys.length <= MAX_ENTRIES) return;
+
+    keys.sort((a, b) => entries[b].updatedAt - entries[a].updatedAt)
+        .slice(MAX_ENTRIES)
+        .forEach(key => delete entries[key]);
+}
+
+// Upserts one position report; `details` carries display fields (name, icon, season...)
+async function recordProgress(owner, { type, provider, id, position, duration, completed, details }) {
+    const entries = await store.load(owner);
+    const key = entryKey(type, provider, id);
+    const previous = entries[key] || {};
+
+    const entry = {
+        ...previous,
+        ...details,
+        type,
+        provider,
+        id,
+        position,
+        duration: duration || previous.duration || 0,
+        updatedAt: Date.now()
+    };
+    entry.completed = Boolean(completed) || (entry.duration > 0 && entry.position / entry.duration >= COMPLETED_RATIO);
+
+    entries[key] = entry;
+    trim(entries);
+    await store.save(owner);
+    return entry;
+}
+
+async function getEntry(owner, type, provider, id) {
+    const entries = await store.load(owner);
+    return entries[entryKey(type, provider, id)] || null;
+}
+
+// Most recent first; `inProgress` drops finished titles (for "continue watching")
+async function listHistory(owner, { type, inProgress = false, limit = 20 } = {}) {
+    const entries = Object.values(await store.load(owner));
+
+    return entries
+        .filter(entry => (!type || entry.type === type) && (!inProgress || !entry.completed))
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, limit);
+}
+
+async function removeEntry(owner, type, provider, id) {
+    const entries = await store.load(owner);
+    const key = entryKey(type, provider, id);
+    if (!entries[key]) return false;
+
+    delete entries[key];
+    await store.save(owner);
+    return true;
+}
+
+module.exports = {
+    HISTORY_TYPES,
+    recordProgress,
+    getEntry,
+    listHistory,
+    removeEntry
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+// ==========================================
+// HLS PLAYLIST REWRITING
+// ==========================================
+
+const { signStreamToken } = require('./streamTokens');
+
+const HLS_URI_ATTRIBUTE = /URI="([^"]+)"/g;
+
+function liveHeaders(targetUrl) {
+    return {
+        'User-Agent': 'VLC/3.0.18 LibVLC/3.0.18',
+        'Accept': '*/*',
+        'Accept-Encoding': 'identity',
+        'Connection': 'keep-alive',
+        'Referer': targetUrl.split('/').slice(0, 3).join('/') + '/'
+    };
+}
+
+// Final URL after redirects, needed to resolve relative playlist entries
+function getResponseUrl(response, fallback) {
+    return response.request?.res?.responseUrl || fallback;
+}
+
+function isPlaylistResponse(targetUrl, headers) {
+    const contentType = String(headers['content-type'] || '').toLowerCase();
+    return contentType.includes('mpegurl') || /\.m3u8?$/i.test(new URL(targetUrl).pathname);
+}
+
+function proxyLiveUri(uri, baseUrl, ttl) {
+    let absolute;
+    try {
+        absolute = new URL(uri, baseUrl);
+    } catch {
+        return uri;
+    }
+
+    // Leave data: and DRM scheme URIs untouched
+    if (absolute.protocol !== 'http:' && absolute.protocol !== 'https:') return uri;
+
+    return `/stream/live-segment?token=${signStreamToken(absolute.toString(), ttl)}`;
+}
+
+// Route every URI in a master/variant playlist (variants, segments, keys, maps) through our proxy
+function rewritePlaylist(body, baseUrl) {
+    return body.split(/\r?\n/).map(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return line;
+
+        if (trimmed.startsWith('#')) {
+            return trimmed.replace(HLS_URI_ATTRIBUTE, (match, uri) => `URI="${proxyLiveUri(uri, baseUrl)}"`);
+        }
+
+        return proxyLiveUri(trimmed, baseUrl);
+    }).join('\n');
+}
+
+function sendPlaylist(res, body) {
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(body);
+}
+
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        stream.on('error', reject);
+    });
+}
+
+module.exports = {
+    liveHeaders,
+    getResponseUrl,
+    proxyLiveUri,
+    isPlaylistResponse,
+    rewritePlaylist,
+    sendPlaylist,
+    readStream
+};
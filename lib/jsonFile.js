@@ -0,0 +1,45 @@
+'use strict';
+
+// ==========================================
+// JSON FILES
+// Small read/write helpers for state kept under DATA_DIR
+// ==========================================
+
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('./logger');
+
+const writeQueues = new Map();
+
+async function readJsonFile(file, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') logger.warn('Could not read JSON file', { file: path.basename(file), error: error.message });
+        return fallback;
+    }
+}
+
+// Temp file + rename so a crash never leaves a half-written file; writes to one file run in order
+function writeJsonFile(file, data, { mode } = {}) {
+    const previous = writeQueues.get(file) || Promise.resolve();
+
+    const write = previous.catch(() => { }).then(async () => {
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(temp, JSON.stringify(data), mode ? { mode } : undefined);
+        await fs.rename(temp, file);
+    });
+
+    writeQueues.set(file, write);
+    write.finally(() => {
+        if (writeQueues.get(file) === write) writeQueues.delete(file);
+    }).catch(() => { });
+
+    return write;
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFile
+};
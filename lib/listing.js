@@ -0,0 +1,142 @@
+'use strict';
+
+// ==========================================
+// CATEGORY LISTINGS
+// Pagination, sorting and filtering for category item lists
+// ==========================================
+
+const { sanitizeId } = require('./helpers');
+const { getProvider } = require('./providers');
+const { fetchCategoryItems } = require('./catalog');
+
+const LIST_DEFAULTS = { limit: 60, maxLimit: 200, maxSources: 10 };
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function toYear(value) {
+    const match = /\b(\d{4})\b/.exec(String(value || ''));
+    return match ? parseInt(match[1]) : null;
+}
+
+// Missing values always sort last, whatever the direction
+function compareBy(getValue, direction) {
+    return (a, b) => {
+        const left = getValue(a);
+        const right = getValue(b);
+        if (left === null && right === null) return 0;
+        if (left === null) return 1;
+        if (right === null) return -1;
+        return (left < right ? -1 : left > right ? 1 : 0) * direction;
+    };
+}
+
+const SORT_FIELDS = {
+    name: { value: item => String(item.name || '').toLowerCase(), order: 'asc' },
+    rating: { value: item => toNumber(item.rating), order: 'desc' },
+    year: { value: item => toYear(item.year), order: 'desc' },
+    added: { value: item => toNumber(item.added), order: 'desc' }
+};
+
+// Parses page, limit, sort, order, yearFrom, yearTo and minRating from a query string
+function parseListQuery(query) {
+    const sort = SORT_FIELDS[query.sort] ? query.sort : null;
+    const order = query.order === 'asc' || query.order === 'desc' ? query.order : sort && SORT_FIELDS[sort].order;
+
+    return {
+        page: Math.max(parseInt(query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(query.limit) || LIST_DEFAULTS.limit, 1), LIST_DEFAULTS.maxLimit),
+        sort,
+        order,
+        yearFrom: toNumber(query.yearFrom),
+        yearTo: toNumber(query.yearTo),
+        minRating: toNumber(query.minRating)
+    };
+}
+
+// Filters, sorts and slices items; returns the page plus total/hasMore for the client
+function applyListQuery(items, options) {
+    let list = items;
+
+    if (options.yearFrom !== null || options.yearTo !== null) {
+        list = list.filter(item => {
+            const year = toYear(item.year);
+            if (year === null) return false;
+            return (options.yearFrom === null || year >= options.yearFrom) && (options.yearTo === null || year <= options.yearTo);
+        });
+    }
+
+    if (options.minRating !== null) {
+        list = list.filter(item => {
+            const rating = toNumber(item.rating);
+            return rating !== null && rating >= options.minRating;
+        });
+    }
+
+    if (options.sort) {
+        const field = SORT_FIELDS[options.sort];
+        list = [...list].sort(compareBy(field.value, options.order === 'asc' ? 1 : -1));
+    }
+
+    const start = (options.page - 1) * options.limit;
+    const pageItems = list.slice(start, start + options.limit);
+
+    return {
+        items: pageItems,
+        total: list.length,
+        page: options.page,
+        limit: options.limit,
+        hasMore: start + pageItems.length < list.length
+    };
+}
+
+// "main:12,backup:7" -> [{ provider, categoryId }]; lets one request cover a merged category
+function parseSources(value) {
+    if (!value) return null;
+
+    const sources = String(value).split(',').slice(0, LIST_DEFAULTS.maxSources).map(pair => {
+        const [providerId, categoryId] = pair.split(':');
+        const provider = getProvider(providerId);
+        const cleanCategory = sanitizeId(categoryId);
+        return provider && cleanCategory ? { provider, categoryId: cleanCategory } : null;
+    });
+
+    return sources.every(Boolean) && sources.length > 0 ? sources : [];
+}
+
+// Sources a category request covers: ?sources= on unscoped routes, else the route's own category
+function categorySources(req) {
+    if (req.query.sources && !req.params.provider) {
+        const sources = parseSources(req.query.sources);
+        return sources.length > 0 ? sources : null;
+    }
+
+    const categoryId = sanitizeId(req.params.id);
+    return categoryId ? [{ provider: req.provider, categoryId }] : null;
+}
+
+// Loads every source category (tolerating partial failures), then lists the union
+async function loadCategoryListing(type, sources, options) {
+    const results = await Promise.allSettled(sources.map(source => fetchCategoryItems(source.provider, type, source.categoryId)));
+    const loaded = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+    if (loaded.length === 0) throw results[0].reason;
+
+    const listing = applyListQuery(loaded.flatMap(result => result.data), options);
+
+    return {
+        ...listing,
+        cached: loaded.every(result => result.cached),
+        age: Math.max(...loaded.map(result => result.age))
+    };
+}
+
+module.exports = {
+    parseListQuery,
+    applyListQuery,
+    parseSources,
+    categorySources,
+    loadCategoryListing
+};
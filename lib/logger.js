@@ -0,0 +1,31 @@
+'use strict';
+
+// ==========================================
+// STRUCTURED LOGGING
+// One JSON object per line: { time, level, msg, ...fields }
+// ==========================================
+
+const { LOG_CONFIG } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function write(level, msg, fields) {
+    if (LEVELS[level] < LEVELS[LOG_CONFIG.level]) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...fields };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// `fields` are added to every line, e.g. { reqId } for everything logged while serving a request
+function createLogger(fields = {}) {
+    return {
+        debug: (msg, extra) => write('debug', msg, { ...fields, ...extra }),
+        info: (msg, extra) => write('info', msg, { ...fields, ...extra }),
+        warn: (msg, extra) => write('warn', msg, { ...fields, ...extra }),
+        error: (msg, extra) => write('error', msg, { ...fields, ...extra }),
+        child: extra => createLogger({ ...fields, ...extra })
+    };
+}
+
+module.exports = createLogger();
@@ -0,0 +1,149 @@
+'use strict';
+
+// ==========================================
+// PROMETHEUS METRICS
+// Counters, gauges and histograms rendered in the text exposition format at /api/metrics
+// ==========================================
+
+const metrics = [];
+const collectors = [];
+
+function labelKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function escapeLabel(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function register(metric) {
+    metrics.push(metric);
+    return metric;
+}
+
+function counter(name, help, labelNames = []) {
+    const values = new Map();
+    return register({
+        name, help, type: 'counter',
+        inc(labels, amount = 1) {
+            const key = labelKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+        lines() {
+            return [...values].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+        }
+    });
+}
+
+// Gauges are usually filled in by a collector right before each scrape
+function gauge(name, help, labelNames = []) {
+    const values = new Map();
+    return register({
+        name, help, type: 'gauge',
+        set(labels, value) {
+            values.set(labelKey(labelNames, labels), value);
+        },
+        reset() {
+            values.clear();
+        },
+        lines() {
+            return [...values].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+        }
+    });
+}
+
+function histogram(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]) {
+    const series = new Map();
+    return register({
+        name, help, type: 'histogram',
+        observe(labels, value) {
+            const key = labelKey(labelNames, labels);
+            if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+
+            const entry = series.get(key);
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        lines() {
+            return [...series].flatMap(([key, entry]) => {
+                const values = JSON.parse(key);
+                return [
+                    ...buckets.map((bound, i) => `${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`),
+                    `${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`,
+                    `${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`,
+                    `${name}_count${formatLabels(labelNames, values)} ${entry.count}`
+                ];
+            });
+        }
+    });
+}
+
+// `collect` runs before every render, for values that are cheaper to read than to track
+function addCollector(collect) {
+    collectors.push(collect);
+}
+
+function renderMetrics() {
+    collectors.forEach(collect => collect());
+    return metrics
+        .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()].join('\n'))
+        .join('\n') + '\n';
+}
+
+// ==========================================
+// SERVICE METRICS
+// ==========================================
+
+const httpRequests = counter('iptv_http_requests_total', 'HTTP responses by method, route and status code', ['method', 'route', 'status']);
+const upstreamRequests = counter('iptv_upstream_requests_total', 'Xtream API calls by action, provider and outcome', ['action', 'provider', 'outcome']);
+const upstreamDuration = histogram('iptv_upstream_request_duration_seconds', 'Xtream API call latency by action', ['action']);
+const cacheLookups = counter('iptv_cache_lookups_total', 'Response cache lookups by result (hit, stale or miss)', ['result']);
+const proxiedBytes = counter('iptv_proxied_bytes_total', 'Bytes streamed to clients by route', ['route']);
+
+function recordHttpRequest(method, route, status) {
+    httpRequests.inc({ method, route, status });
+}
+
+function recordUpstreamCall(action, provider, seconds, ok) {
+    upstreamRequests.inc({ action, provider, outcome: ok ? 'success' : 'error' });
+    upstreamDuration.observe({ action }, seconds);
+}
+
+const cacheHitRatio = gauge('iptv_cache_hit_ratio', 'Share of cache lookups answered from the cache (hit or stale) since start');
+const cacheTotals = { hit: 0, stale: 0, miss: 0 };
+
+function recordCacheLookup(result) {
+    cacheLookups.inc({ result });
+    cacheTotals[result]++;
+}
+
+addCollector(() => {
+    const total = cacheTotals.hit + cacheTotals.stale + cacheTotals.miss;
+    cacheHitRatio.set({}, total > 0 ? (cacheTotals.hit + cacheTotals.stale) / total : 0);
+});
+
+// Counts what flows through a proxied body without changing how it is piped
+function countBytes(stream, route) {
+    stream.on('data', chunk => proxiedBytes.inc({ route }, chunk.length));
+}
+
+module.exports = {
+    counter,
+    gauge,
+    histogram,
+    addCollector,
+    renderMetrics,
+    recordHttpRequest,
+    recordUpstreamCall,
+    recordCacheLookup,
+    countBytes
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+// ==========================================
+// M3U PLAYLIST EXPORT
+// Catalog entries as an extended M3U whose URLs point at our own /stream routes
+// ==========================================
+
+const { CACHE_CONFIG } = require('./config');
+const { CATALOG_TYPES, fetchCategories, fetchSeriesInfo } = require('./catalog');
+const { getFullCatalog } = require('./catalogStore');
+const { withCache } = require('./cache');
+const { getProvider } = require('./providers');
+
+const PLAYLIST_TYPES = ['live', 'movies', 'series'];
+const SERIES_LIMIT = 300;
+const SERIES_CONCURRENCY = 4;
+
+// Attribute values are quoted, so quotes and line breaks would corrupt the entry
+function attr(value) {
+    return String(value ?? '').replace(/["\r\n]+/g, ' ').trim();
+}
+
+// Placeholder icons are site-relative; external players need an absolute URL
+function logo(icon, baseUrl) {
+    return icon && icon.startsWith('/') ? `${baseUrl}${icon}` : icon;
+}
+
+function entry({ title, url, attrs }) {
+    const attributes = Object.entries(attrs)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([name, value]) => `${name}="${attr(value)}"`)
+        .join(' ');
+
+    return `#EXTINF:-1 ${attributes},${attr(title)}\n${url}`;
+}
+
+// "<provider>:<category_id>" -> category name, cached like the scoped /categories routes
+async function categoryNames(type, providers) {
+    const names = new Map();
+
+    await Promise.all(providers.map(async provider => {
+        const { data } = await withCache(`${type}:categories:${provider.id}`, CACHE_CONFIG.ttl.categories,
+            () => fetchCategories([provider], CATALOG_TYPES[type].categoriesAction)).catch(() => ({ data: [] }));
+        data.forEach(cat => names.set(`${provider.id}:${cat.category_id}`, cat.category_name));
+    }));
+
+    return names;
+}
+
+// `category` matches a category id or (case-insensitively) a merged category name
+function categoryFilter(category, names) {
+    if (!category) return () => true;
+    const wanted = String(category).toLowerCase();
+
+    return item => String(item.category) === String(category) ||
+        String(names.get(`${item.provider}:${item.category}`) || '').toLowerCase() === wanted;
+}
+
+// Runs `worker` over items with at most `limit` in flight, keeping input order
+async function mapLimit(items, limit, worker) {
+    const results = new Array(items.length);
+    let cursor = 0;
+
+    async function run() {
+        while (cursor < items.length) {
+            const index = cursor++;
+            results[index] = await worker(items[index]).catch(() => []);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+}
+
+async function seriesEntries(series, group, baseUrl, streamUrl) {
+    const { data } = await fetchSeriesInfo(getProvider(series.provider), series.id);
+    const seasons = data?.episodes || {};
+
+    return Object.keys(seasons)
+        .sort((a, b) => parseInt(a) - parseInt(b))
+        .flatMap(season => (seasons[season] || []).map(ep => {
+            const code = `S${String(season).padStart(2, '0')}E${String(ep.episode_num).padStart(2, '0')}`;
+            const extension = String(ep.container_extension || 'mp4').replace(/[^a-z0-9]/gi, '');
+
+            return entry({
+                title: `${series.name} ${code}${ep.title ? ` - ${ep.title}` : ''}`,
+                url: streamUrl(`/stream/providers/${series.provider}/series/${encodeURIComponent(ep.id)}/${extension}`),
+                attrs: { 'tvg-name': series.name, 'tvg-logo': logo(series.icon, baseUrl), 'group-title': group }
+            });
+        }));
+}
+
+// Builds the playlist text for one type across the given providers.
+// External players cannot sign in, so an access token is appended to every stream URL when given.
+// Live channels ask for `liveFormat` when given, otherwise the stream route applies each provider's own.
+async function buildPlaylist(type, providers, { category, baseUrl, accessToken, liveFormat }) {
+    const streamUrl = (streamPath, query = {}) => {
+        const params = new URLSearchParams(query);
+        if (accessToken) params.set('access_token', accessToken);
+        const search = params.toString();
+        return `${baseUrl}${streamPath}${search ? `?${search}` : ''}`;
+    };
+    const liveQuery = liveFormat ? { format: liveFormat } : {};
+    const providerIds = new Set(providers.map(provider => provider.id));
+    const [{ data: catalog }, names] = await Promise.all([getFullCatalog(type), categoryNames(type, providers)]);
+
+    const matchesCategory = categoryFilter(category, names);
+    const items = catalog.filter(item => providerIds.has(item.provider) && matchesCategory(item));
+    const groupOf = item => names.get(`${item.provider}:${item.category}`) || 'Uncategorized';
+
+    let entries;
+
+    if (type === 'live') {
+        entries = items.map(ch => entry({
+            title: ch.name,
+            url: streamUrl(`/stream/providers/${ch.provider}/live/${ch.id}`, liveQuery),
+            attrs: { 'tvg-id': ch.epgChannelId, 'tvg-name': ch.name, 'tvg-logo': logo(ch.icon, baseUrl), 'group-title': groupOf(ch) }
+        }));
+    } else if (type === 'movies') {
+        entries = items.map(movie => entry({
+            title: movie.name,
+            url: streamUrl(`/stream/providers/${movie.provider}/${movie.id}`, { ext: movie.extension }),
+            attrs: { 'tvg-name': movie.name, 'tvg-logo': logo(movie.icon, baseUrl), 'group-title': groupOf(movie) }
+        }));
+    } else {
+        // Episodes need one get_series_info call per series, so series exports stay bounded
+        const series = items.slice(0, SERIES_LIMIT);
+        entries = (await mapLimit(series, SERIES_CONCURRENCY, s => seriesEntries(s, groupOf(s), baseUrl, streamUrl))).flat();
+    }
+
+    return ['#EXTM3U', ...entries].join('\n') + '\n';
+}
+
+module.exports = {
+    PLAYLIST_TYPES,
+    buildPlaylist
+};
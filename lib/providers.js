@@ -0,0 +1,82 @@
+'use strict';
+
+// ==========================================
+// PROVIDER REGISTRY
+// ==========================================
+
+const { PROVIDER_CONFIGS } = require('./config');
+const { sanitizeId, sendError } = require('./helpers');
+
+// Sorted by priority at load time
+function getProviders() {
+    return PROVIDER_CONFIGS;
+}
+
+function getDefaultProvider() {
+    return PROVIDER_CONFIGS[0] || null;
+}
+
+function getProvider(id) {
+    const cleanId = sanitizeId(id);
+    return PROVIDER_CONFIGS.find(provider => provider.id === cleanId) || null;
+}
+
+// Public view of a provider, never includes credentials
+function describeProvider(provider) {
+    return { id: provider.id, name: provider.name, priority: provider.priority };
+}
+
+// Attaches req.provider from the :provider route param, or the default provider on unscoped routes
+function resolveProvider(req, res, next) {
+    const provider = req.params.provider ? getProvider(req.params.provider) : getDefaultProvider();
+    if (!provider) return sendError(res, 404, 'Unknown provider');
+    req.provider = provider;
+    next();
+}
+
+// Providers a catalog request covers: the scoped one, or all of them for merged views
+function providersFor(req) {
+    return req.params.provider ? [req.provider] : getProviders();
+}
+
+// Runs fetcher against every provider, keeping whatever succeeded; throws only if all failed
+async function collectFromProviders(providers, fetcher) {
+    const results = await Promise.allSettled(providers.map(provider => fetcher(provider)));
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+
+    if (fulfilled.length === 0 && results.length > 0) {
+        throw results[0].reason;
+    }
+
+    return fulfilled.flatMap(result => result.value);
+}
+
+// Groups same-named categories from different providers into one entry with per-provider sources
+function mergeCategories(categories) {
+    const merged = new Map();
+
+    categories.forEach(cat => {
+        const name = String(cat.category_name || '').trim();
+        const key = name.toLowerCase();
+        const source = { provider: cat.provider, source: cat.source, category_id: cat.category_id };
+
+        if (merged.has(key)) {
+            merged.get(key).sources.push(source);
+        } else {
+            merged.set(key, { ...cat, category_name: name, sources: [source] });
+        }
+    });
+
+    return [...merged.values()];
+}
+
+module.exports = {
+    getProviders,
+    getDefaultProvider,
+    getProvider,
+    describeProvider,
+    resolveProvider,
+    providersFor,
+    collectFromProviders,
+    mergeCategories
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+// ==========================================
+// RATE LIMITING
+// Sliding windows of request timestamps per client IP and per signed-in user,
+// so one scraper cannot push the provider account into a ban
+// ==========================================
+
+const { RATE_LIMIT_CONFIG } = require('./config');
+const { sendError } = require('./helpers');
+
+// limit name -> key -> timestamps inside the window, oldest first
+const windows = new Map();
+let hitsSinceSweep = 0;
+
+function windowFor(name) {
+    if (!windows.has(name)) windows.set(name, new Map());
+    return windows.get(name);
+}
+
+function recentHits(hits, key, cutoff) {
+    const times = (hits.get(key) || []).filter(time => time > cutoff);
+    if (times.length > 0) hits.set(key, times);
+    else hits.delete(key);
+    return times;
+}
+
+// Idle clients would otherwise keep their (expired) entries forever
+function sweep(cutoff) {
+    windows.forEach(hits => {
+        for (const [key, times] of hits) {
+            if (times[times.length - 1] <= cutoff) hits.delete(key);
+        }
+    });
+}
+
+// Records a hit for `name` unless the IP or the user is over its limit;
+// returns null when allowed, otherwise the seconds until a slot frees up
+function takeHit(name, req) {
+    const limits = RATE_LIMIT_CONFIG.limits[name];
+    if (!RATE_LIMIT_CONFIG.enabled || !limits) return null;
+
+    const now = Date.now();
+    const cutoff = now - RATE_LIMIT_CONFIG.windowMs;
+    const hits = windowFor(name);
+
+    if (++hitsSinceSweep >= 1000) {
+        hitsSinceSweep = 0;
+        sweep(cutoff);
+    }
+
+    // With auth disabled everyone is the same anonymous user, so only the IP counts
+    const keys = [[`ip:${req.ip}`, limits.perIp]];
+    if (req.user) keys.push([`user:${req.user.username}`, limits.perUser]);
+
+    let retryAfter = null;
+    const counted = keys.map(([key, max]) => {
+        const times = recentHits(hits, key, cutoff);
+        if (times.length >= max) {
+            const wait = Math.ceil((times[times.length - max] + RATE_LIMIT_CONFIG.windowMs - now) / 1000);
+            retryAfter = Math.max(retryAfter || 0, wait, 1);
+        }
+        return [key, times];
+    });
+
+    if (retryAfter !== null) return retryAfter;
+
+    counted.forEach(([key, times]) => hits.set(key, [...times, now]));
+    return null;
+}
+
+function sendRateLimited(res, retryAfter, message = 'Too many requests, slow down') {
+    res.set('Retry-After', String(retryAfter));
+    sendError(res, 429, message);
+}
+
+// Middleware counting every request that reaches it against the `name` limit
+function rateLimit(name, message) {
+    return (req, res, next) => {
+        const retryAfter = takeHit(name, req);
+        if (retryAfter !== null) return sendRateLimited(res, retryAfter, message);
+        next();
+    };
+}
+
+// Like rateLimit, but only a key's first request counts (`keyOf(req)` names the viewer and stream);
+// repeats within a window of the previous one, such as HLS playlist reloads, pass without a hit
+function rateLimitFirst(name, keyOf, message) {
+    const lastSeen = new Map();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const key = keyOf(req);
+        const previous = lastSeen.get(key);
+
+        if (previous && now - previous < RATE_LIMIT_CONFIG.windowMs) {
+            lastSeen.set(key, now);
+            return next();
+        }
+
+        const retryAfter = takeHit(name, req);
+        if (retryAfter !== null) return sendRateLimited(res, retryAfter, message);
+
+        if (lastSeen.size >= 1000) {
+            for (const [seenKey, time] of lastSeen) {
+                if (now - time >= RATE_LIMIT_CONFIG.windowMs) lastSeen.delete(seenKey);
+            }
+        }
+        lastSeen.set(key, now);
+        next();
+    };
+}
+
+module.exports = {
+    takeHit,
+    sendRateLimited,
+    rateLimit,
+    rateLimitFirst
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+// ==========================================
+// REQUEST LOGGING
+// Gives every request an id (X-Request-Id, kept when the client or a proxy sent a sane one),
+// a req.log that tags lines with it, one summary line for /api and /stream calls
+// and the HTTP status metrics
+// ==========================================
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { recordHttpRequest } = require('./metrics');
+
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Low-cardinality route label: the matched route pattern rather than the concrete path.
+// Responses no route produced (files, or middleware turning the request away) go by what happened.
+function routeLabel(req, res) {
+    if (req.route) return `${req.baseUrl}${req.route.path}`;
+    if (res.locals.staticFile) return 'static';
+
+    const status = res.statusCode;
+    if (status === 401) return 'unauthorized';
+    if (status === 404) return 'unmatched';
+    if (status === 429) return 'rate_limited';
+    if (status >= 500) return 'error';
+    if (status >= 400) return 'rejected';
+    if (status >= 300) return 'redirect';
+    return 'other';
+}
+
+function requestLogger(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const reqId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+    // Captured now: routers rewrite req.url while they run, and the query may carry stream tokens
+    const path = req.originalUrl.split('?')[0];
+
+    req.id = reqId;
+    req.log = logger.child({ reqId });
+    res.setHeader('X-Request-Id', reqId);
+
+    let done = false;
+    const finish = () => {
+        if (done) return;
+        done = true;
+
+        // 499: the client went away before the response was complete (as nginx logs it)
+        const status = res.writableFinished ? res.statusCode : 499;
+        recordHttpRequest(req.method, routeLabel(req, res), status);
+
+        if (!path.startsWith('/api') && !path.startsWith('/stream')) return;
+
+        const fields = {
+            method: req.method,
+            path,
+            status,
+            durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+            user: req.user?.username
+        };
+        // Live players fetch a segment every few seconds
+        if (path.endsWith('/live-segment')) req.log.debug('request', fields);
+        else req.log.info('request', fields);
+    };
+
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+}
+
+module.exports = { requestLogger };
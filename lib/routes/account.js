@@ -0,0 +1,33 @@
+'use strict';
+
+// ==========================================
+// PROVIDER ACCOUNT API
+// Mounted at /api (every provider) and /api/providers/:provider
+// ==========================================
+
+const express = require('express');
+const { sendError } = require('../helpers');
+const { providersFor, describeProvider } = require('../providers');
+const { fetchAccountInfo, normalizeAccount } = require('../account');
+
+const router = express.Router({ mergeParams: true });
+
+// One entry per provider; an unreachable provider gets an `error` instead of failing the whole response
+router.get('/account', async (req, res) => {
+    try {
+        const providers = providersFor(req);
+        const accounts = await Promise.all(providers.map(async provider => {
+            try {
+                const { data, cached, age } = await fetchAccountInfo(provider);
+                return { provider: describeProvider(provider), cached, age, ...normalizeAccount(data) };
+            } catch (error) {
+                return { provider: describeProvider(provider), error: 'Could not reach the provider' };
+            }
+        }));
+        res.json({ success: true, accounts });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch account status');
+    }
+});
+
+module.exports = router;
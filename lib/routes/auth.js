@@ -0,0 +1,75 @@
+'use strict';
+
+// ==========================================
+// AUTH API
+// ==========================================
+
+const express = require('express');
+const { AUTH_CONFIG } = require('../config');
+const { sendError } = require('../helpers');
+const { authenticate, describeUser } = require('../users');
+const { createSessionToken, setSessionCookie, clearSessionCookie, loadSession } = require('../auth');
+
+const router = express.Router();
+
+// Failed sign-ins per client IP; a handful of guesses per window, then 429 until it passes
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const loginFailures = new Map();
+
+function recentFailures(ip) {
+    const cutoff = Date.now() - LOGIN_WINDOW_MS;
+    const failures = (loginFailures.get(ip) || []).filter(time => time > cutoff);
+    if (failures.length > 0) loginFailures.set(ip, failures);
+    else loginFailures.delete(ip);
+    return failures;
+}
+
+router.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    const failures = recentFailures(req.ip);
+
+    if (failures.length >= LOGIN_MAX_FAILURES) {
+        res.set('Retry-After', String(Math.ceil((failures[0] + LOGIN_WINDOW_MS - Date.now()) / 1000)));
+        return sendError(res, 429, 'Too many failed sign-in attempts, try again later');
+    }
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        return sendError(res, 400, 'Username and password are required');
+    }
+
+    try {
+        const user = await authenticate(username, password);
+
+        if (!user) {
+            loginFailures.set(req.ip, [...failures, Date.now()]);
+            return sendError(res, 401, 'Invalid username or password');
+        }
+
+        loginFailures.delete(req.ip);
+        const token = createSessionToken(user);
+        setSessionCookie(req, res, token);
+        res.json({ success: true, user: describeUser(user), token });
+    } catch (error) {
+        sendError(res, 500, 'Sign-in failed');
+    }
+});
+
+router.post('/api/auth/logout', (req, res) => {
+    clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+router.get('/api/auth/me', async (req, res) => {
+    if (!AUTH_CONFIG.enabled) return res.json({ success: true, authEnabled: false, user: null });
+
+    try {
+        const user = await loadSession(req);
+        if (!user) return sendError(res, 401, 'Authentication required');
+        res.json({ success: true, authEnabled: true, user: describeUser(user) });
+    } catch (error) {
+        sendError(res, 500, 'Failed to load session');
+    }
+});
+
+module.exports = router;
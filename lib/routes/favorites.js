@@ -0,0 +1,84 @@
+'use strict';
+
+// ==========================================
+// FAVORITES API
+// ==========================================
+
+const express = require('express');
+const { sanitizeId, sanitizeExtension, sendError } = require('../helpers');
+const { getProvider, getDefaultProvider } = require('../providers');
+const { ownerOf } = require('../userData');
+const { FAVORITE_TYPES, MAX_FAVORITES, addFavorite, removeFavorite, listFavorites } = require('../favorites');
+
+const router = express.Router();
+
+function toText(value, maxLength) {
+    return typeof value === 'string' || typeof value === 'number' ? String(value).slice(0, maxLength) : undefined;
+}
+
+// type/id/provider from params or body; null when any is invalid
+function parseTarget(source) {
+    const type = FAVORITE_TYPES.includes(source.type) ? source.type : null;
+    const id = sanitizeId(source.id);
+    const provider = source.provider ? getProvider(source.provider) : getDefaultProvider();
+    return type && id && provider ? { type, id, provider: provider.id } : null;
+}
+
+// Only the card fields the grids render are kept
+function pickItem(body, provider) {
+    const item = {
+        name: toText(body.name, 200) || 'Unknown',
+        icon: toText(body.icon, 500),
+        rating: toText(body.rating, 10),
+        year: toText(body.year, 20),
+        plot: toText(body.plot, 1000),
+        extension: body.extension ? sanitizeExtension(body.extension) : undefined,
+        epgChannelId: toText(body.epgChannelId, 100),
+        archive: body.archive === true || undefined,
+        archiveDays: Number.isInteger(body.archiveDays) && body.archiveDays > 0 ? body.archiveDays : undefined,
+        source: provider.name
+    };
+    Object.keys(item).forEach(key => item[key] === undefined && delete item[key]);
+    return item;
+}
+
+// ?type=movie|series|live
+router.get('/api/favorites', async (req, res) => {
+    const type = FAVORITE_TYPES.includes(req.query.type) ? req.query.type : null;
+
+    try {
+        const favorites = await listFavorites(ownerOf(req), type);
+        res.json({ success: true, count: favorites.length, favorites });
+    } catch (error) {
+        sendError(res, 500, 'Failed to load favorites');
+    }
+});
+
+// Body: { type, id, provider, name, icon, rating, year, plot, extension, epgChannelId, archive, archiveDays }
+router.post('/api/favorites', async (req, res) => {
+    const body = req.body || {};
+    const target = parseTarget(body);
+    if (!target) return sendError(res, 400, 'Invalid favorite');
+
+    try {
+        const favorite = await addFavorite(ownerOf(req), { ...target, item: pickItem(body, getProvider(target.provider)) });
+        if (!favorite) return sendError(res, 409, `My List is limited to ${MAX_FAVORITES} entries`);
+        res.json({ success: true, favorite });
+    } catch (error) {
+        sendError(res, 500, 'Failed to save favorite');
+    }
+});
+
+router.delete('/api/favorites/:type/:id', async (req, res) => {
+    const target = parseTarget({ ...req.params, provider: req.query.provider });
+    if (!target) return sendError(res, 400, 'Invalid favorite');
+
+    try {
+        const removed = await removeFavorite(ownerOf(req), target.type, target.provider, target.id);
+        res.json({ success: true, removed });
+    } catch (error) {
+        sendError(res, 500, 'Failed to remove favorite');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+'use strict';
+
+// ==========================================
+// WATCH HISTORY API
+// ==========================================
+
+const express = require('express');
+const { sanitizeId, sanitizeExtension, sendError } = require('../helpers');
+const { getProvider, getDefaultProvider } = require('../providers');
+const { ownerOf } = require('../userData');
+const { HISTORY_TYPES, recordProgress, getEntry, listHistory, removeEntry } = require('../history');
+
+const router = express.Router();
+
+function toWholeNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? Math.round(number) : null;
+}
+
+function toText(value, maxLength) {
+    return typeof value === 'string' ? value.slice(0, maxLength) : undefined;
+}
+
+// type/id/provider from params or body; null when any is invalid
+function parseTarget(source) {
+    const type = HISTORY_TYPES.includes(source.type) ? source.type : null;
+    const id = sanitizeId(source.id);
+    const provider = source.provider ? getProvider(source.provider) : getDefaultProvider();
+    return type && id && provider ? { type, id, provider: provider.id } : null;
+}
+
+// ?type=movie|series|live&inProgress=1&limit=
+router.get('/api/history', async (req, res) => {
+    const type = HISTORY_TYPES.includes(req.query.type) ? req.query.type : null;
+    const inProgress = req.query.inProgress === '1' || req.query.inProgress === 'true';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    try {
+        const history = await listHistory(ownerOf(req), { type, inProgress, limit });
+        res.json({ success: true, count: history.length, history });
+    } catch (error) {
+        sendError(res, 500, 'Failed to load history');
+    }
+});
+
+router.get('/api/history/:type/:id', async (req, res) => {
+    const target = parseTarget({ ...req.params, provider: req.query.provider });
+    if (!target) return sendError(res, 400, 'Invalid history entry');
+
+    try {
+        const entry = await getEntry(ownerOf(req), target.type, target.provider, target.id);
+        res.json({ success: true, entry });
+    } catch (error) {
+        sendError(res, 500, 'Failed to load history');
+    }
+});
+
+// Body: { type, id, provider, position, duration, completed, name, icon, extension, seriesId, season, episode }
+// Also accepts navigator.sendBeacon payloads sent from pagehide
+router.post('/api/history', express.text({ type: 'text/plain', limit: '16kb' }), async (req, res) => {
+    let body = req.body;
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch {
+            return sendError(res, 400, 'Invalid JSON body');
+        }
+    }
+
+    const target = parseTarget(body || {});
+    const position = toWholeNumber(body && body.position);
+    if (!target || position === null) return sendError(res, 400, 'Invalid history entry');
+
+    const details = {
+        name: toText(body.name, 200),
+        icon: toText(body.icon, 500),
+        extension: body.extension ? sanitizeExtension(body.extension) : undefined,
+        seriesId: body.seriesId ? sanitizeId(body.seriesId) : undefined,
+        season: toWholeNumber(body.season) ?? undefined,
+        episode: toWholeNumber(body.episode) ?? undefined
+    };
+    Object.keys(details).forEach(key => details[key] === undefined && delete details[key]);
+
+    try {
+        const entry = await recordProgress(ownerOf(req), {
+            ...target,
+            position,
+            duration: toWholeNumber(body.duration),
+            completed: body.completed === true,
+            details
+        });
+        res.json({ success: true, entry });
+    } catch (error) {
+        sendError(res, 500, 'Failed to save history');
+    }
+});
+
+router.delete('/api/history/:type/:id', async (req, res) => {
+    const target = parseTarget({ ...req.params, provider: req.query.provider });
+    if (!target) return sendError(res, 400, 'Invalid history entry');
+
+    try {
+        const removed = await removeEntry(ownerOf(req), target.type, target.provider, target.id);
+        res.json({ success: true, removed });
+    } catch (error) {
+        sendError(res, 500, 'Failed to update history');
+    }
+});
+
+module.exports = router;
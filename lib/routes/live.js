@@ -0,0 +1,61 @@
+'use strict';
+
+// ==========================================
+// LIVE TV API
+// Mounted at /api (merged/default provider) and /api/providers/:provider
+// ==========================================
+
+const express = require('express');
+const { CACHE_CONFIG } = require('../config');
+const { sanitizeId, sendError } = require('../helpers');
+const { providersFor, describeProvider } = require('../providers');
+const { fetchCategories } = require('../catalog');
+const { withCache } = require('../cache');
+const { parseListQuery, categorySources, loadCategoryListing } = require('../listing');
+const { fetchEpg, nowAndNext } = require('../epg');
+
+const router = express.Router({ mergeParams: true });
+
+router.get('/live/categories', async (req, res) => {
+    try {
+        const providers = providersFor(req);
+        const scope = req.params.provider ? req.provider.id : '*';
+        const { data: categories, cached, age } = await withCache(`live:categories:${scope}`, CACHE_CONFIG.ttl.categories,
+            () => fetchCategories(providers, 'get_live_categories'));
+        res.json({ success: true, cached, age, providers: providers.map(describeProvider), categories });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch live categories');
+    }
+});
+
+// ?page=&limit=&sort=name|rating|year|added&order=&yearFrom=&yearTo=&minRating=
+// Unscoped requests may pass ?sources=provider:category,... to list a merged category
+router.get('/live/category/:id', async (req, res) => {
+    const sources = categorySources(req);
+    if (!sources) return sendError(res, 400, 'Invalid category ID');
+
+    try {
+        const { items, ...listing } = await loadCategoryListing('live', sources, parseListQuery(req.query));
+        res.json({ success: true, ...listing, count: items.length, channels: items });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch channels');
+    }
+});
+
+// ?full=1 returns the provider's whole stored schedule; otherwise the next ?limit= programmes
+router.get('/live/:id(\\d+)/epg', async (req, res) => {
+    const streamId = sanitizeId(req.params.id);
+    if (!streamId) return sendError(res, 400, 'Invalid channel ID');
+
+    const full = req.query.full === '1' || req.query.full === 'true';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 4, 1), 20);
+
+    try {
+        const { data: programmes, cached, age } = await fetchEpg(req.provider, streamId, { full, limit });
+        res.json({ success: true, cached, age, ...nowAndNext(programmes), programmes });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch EPG');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+'use strict';
+
+// ==========================================
+// METRICS ENDPOINT
+// Prometheus text exposition format
+// ==========================================
+
+const crypto = require('crypto');
+const express = require('express');
+const { METRICS_CONFIG } = require('../config');
+const { sendError } = require('../helpers');
+const { requireAuth } = require('../auth');
+const { renderMetrics } = require('../metrics');
+
+const router = express.Router();
+
+function hasMetricsToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (!authorization.startsWith('Bearer ')) return false;
+
+    const provided = Buffer.from(authorization.slice(7).trim());
+    const expected = Buffer.from(METRICS_CONFIG.token);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Scrapers use METRICS_TOKEN; everyone else needs a session like any other /api route
+function authorizeMetrics(req, res, next) {
+    if (METRICS_CONFIG.token && hasMetricsToken(req)) return next();
+    requireAuth(req, res, next);
+}
+
+router.get('/api/metrics', authorizeMetrics, (req, res) => {
+    try {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.set('Cache-Control', 'no-store');
+        res.send(renderMetrics());
+    } catch (error) {
+        sendError(res, 500, 'Failed to render metrics');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+'use strict';
+
+// ==========================================
+// MOVIES API
+// Mounted at /api (merged/default provider) and /api/providers/:provider
+// ==========================================
+
+const express = require('express');
+const { CACHE_CONFIG } = require('../config');
+const { sanitizeId, sendError } = require('../helpers');
+const { providersFor, describeProvider } = require('../providers');
+const { fetchCategories, fetchMovieInfo } = require('../catalog');
+const { getFullCatalog } = require('../catalogStore');
+const { withCache } = require('../cache');
+const { parseListQuery, categorySources, loadCategoryListing } = require('../listing');
+const { rateLimit } = require('../rateLimit');
+
+const router = express.Router({ mergeParams: true });
+
+async function sendMovieCategories(req, res) {
+    try {
+        const providers = providersFor(req);
+        const scope = req.params.provider ? req.provider.id : '*';
+        const { data: categories, cached, age } = await withCache(`movies:categories:${scope}`, CACHE_CONFIG.ttl.categories,
+            () => fetchCategories(providers, 'get_vod_categories'));
+        res.json({ success: true, cached, age, providers: providers.map(describeProvider), categories });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch categories');
+    }
+}
+
+router.get('/categories', sendMovieCategories);
+router.get('/movies/categories', sendMovieCategories);
+
+// Full catalog of every provider, cached as one merged list and snapshotted to disk.
+// Large enough to have its own, much lower rate limit.
+router.get('/movies', rateLimit('catalog', 'Full catalog requests are limited, try again later'), async (req, res) => {
+    const scope = req.params.provider ? req.provider.id : null;
+
+    try {
+        const { data: allMovies, cached, stale, age } = await getFullCatalog('movies');
+        const movies = scope ? allMovies.filter(m => m.provider === scope) : allMovies;
+        res.json({ success: true, cached, stale, age, count: movies.length, movies });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch movies');
+    }
+});
+
+// ?page=&limit=&sort=name|rating|year|added&order=&yearFrom=&yearTo=&minRating=
+// Unscoped requests may pass ?sources=provider:category,... to list a merged category
+router.get('/movies/category/:id', async (req, res) => {
+    const sources = categorySources(req);
+    if (!sources) return sendError(res, 400, 'Invalid category ID');
+
+    try {
+        const { items, ...listing } = await loadCategoryListing('movies', sources, parseListQuery(req.query));
+        res.json({ success: true, ...listing, count: items.length, movies: items });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch movies');
+    }
+});
+
+router.get('/movie/:id', async (req, res) => {
+    const movieId = sanitizeId(req.params.id);
+    if (!movieId) return sendError(res, 400, 'Invalid movie ID');
+
+    try {
+        const { data: movie, cached, age } = await fetchMovieInfo(req.provider, movieId);
+        res.json({ success: true, cached, age, provider: req.provider.id, movie });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch movie info');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+'use strict';
+
+// ==========================================
+// PAGE ROUTES
+// ==========================================
+
+const express = require('express');
+const path = require('path');
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+const router = express.Router();
+
+router.get('/', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'index.html')));
+router.get('/movies', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'movies.html')));
+router.get('/series', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'series.html')));
+router.get('/live', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'live.html')));
+router.get('/movie', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'movie.html')));
+router.get('/player', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'player.html')));
+router.get('/login', (req, res) => res.sendFile(path.join(PUBLIC_DIR, 'login.html')));
+
+// Safety redirect
+router.get('/live/:id(\\d+)', (req, res) => {
+    res.redirect(`/stream/live/${req.params.id}`);
+});
+
+module.exports = router;
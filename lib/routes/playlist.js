@@ -0,0 +1,42 @@
+'use strict';
+
+// ==========================================
+// PLAYLIST API
+// Mounted at /api (all providers) and /api/providers/:provider
+// ==========================================
+
+const express = require('express');
+const { sendError } = require('../helpers');
+const { providersFor } = require('../providers');
+const { PLAYLIST_TYPES, buildPlaylist } = require('../playlist');
+const { rateLimit } = require('../rateLimit');
+const { LIVE_FORMATS } = require('../config');
+
+const router = express.Router({ mergeParams: true });
+
+// ?type=live|movies|series&category=<id or name>&format=m3u8|ts (live output for every channel);
+// built from the full catalog, so limited like /movies
+router.get('/playlist.m3u', rateLimit('catalog', 'Playlist requests are limited, try again later'), async (req, res) => {
+    const type = String(req.query.type || 'live').toLowerCase();
+    const category = req.query.category ? String(req.query.category).slice(0, 100) : null;
+    const liveFormat = LIVE_FORMATS.includes(req.query.format) ? req.query.format : null;
+
+    if (!PLAYLIST_TYPES.includes(type)) return sendError(res, 400, 'Invalid playlist type');
+    if (type === 'series' && !category) return sendError(res, 400, 'Series playlists require a category');
+
+    try {
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        const playlist = await buildPlaylist(type, providersFor(req), { category, baseUrl, accessToken: req.sessionToken, liveFormat });
+
+        res.set({
+            'Content-Type': 'audio/x-mpegurl; charset=utf-8',
+            'Content-Disposition': `inline; filename="iptv-${type}.m3u"`,
+            'Cache-Control': 'no-cache'
+        });
+        res.send(playlist);
+    } catch (error) {
+        sendError(res, 500, 'Failed to build playlist');
+    }
+});
+
+module.exports = router;
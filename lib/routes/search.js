@@ -0,0 +1,31 @@
+'use strict';
+
+// ==========================================
+// SEARCH API
+// ==========================================
+
+const express = require('express');
+const { sendError } = require('../helpers');
+const { SEARCH_TYPES, search } = require('../search');
+
+const router = express.Router();
+
+router.get('/api/search', async (req, res) => {
+    const query = String(req.query.q || '').trim().slice(0, 100);
+    const type = String(req.query.type || 'all').toLowerCase();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    if (query.length < 2) return sendError(res, 400, 'Query must be at least 2 characters');
+    if (type !== 'all' && !SEARCH_TYPES.includes(type)) return sendError(res, 400, 'Invalid search type');
+
+    try {
+        const types = type === 'all' ? SEARCH_TYPES : [type];
+        const results = await search(query, types, limit);
+        const count = Object.values(results).reduce((sum, items) => sum + items.length, 0);
+        res.json({ success: true, query, count, results });
+    } catch (error) {
+        sendError(res, 500, 'Search failed');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+'use strict';
+
+// ==========================================
+// SERIES API
+// Mounted at /api (merged/default provider) and /api/providers/:provider
+// ==========================================
+
+const express = require('express');
+const { CACHE_CONFIG } = require('../config');
+const { sanitizeId, sendError } = require('../helpers');
+const { providersFor, describeProvider } = require('../providers');
+const { fetchCategories, fetchSeriesInfo } = require('../catalog');
+const { withCache } = require('../cache');
+const { parseListQuery, categorySources, loadCategoryListing } = require('../listing');
+
+const router = express.Router({ mergeParams: true });
+
+router.get('/series/categories', async (req, res) => {
+    try {
+        const providers = providersFor(req);
+        const scope = req.params.provider ? req.provider.id : '*';
+        const { data: categories, cached, age } = await withCache(`series:categories:${scope}`, CACHE_CONFIG.ttl.categories,
+            () => fetchCategories(providers, 'get_series_categories'));
+        res.json({ success: true, cached, age, providers: providers.map(describeProvider), categories });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch series categories');
+    }
+});
+
+// ?page=&limit=&sort=name|rating|year|added&order=&yearFrom=&yearTo=&minRating=
+// Unscoped requests may pass ?sources=provider:category,... to list a merged category
+router.get('/series/category/:id', async (req, res) => {
+    const sources = categorySources(req);
+    if (!sources) return sendError(res, 400, 'Invalid category ID');
+
+    try {
+        const { items, ...listing } = await loadCategoryListing('series', sources, parseListQuery(req.query));
+        res.json({ success: true, ...listing, count: items.length, series: items });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch series');
+    }
+});
+
+router.get('/series/:id/info', async (req, res) => {
+    const seriesId = sanitizeId(req.params.id);
+    if (!seriesId) return sendError(res, 400, 'Invalid series ID');
+
+    try {
+        const { data, cached, age } = await fetchSeriesInfo(req.provider, seriesId);
+        res.json({ success: true, cached, age, data });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch series info');
+    }
+});
+
+module.exports = router;
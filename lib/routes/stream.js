@@ -0,0 +1,399 @@
+'use strict';
+
+// ==========================================
+// STREAMING ROUTES
+// VOD, series and live HLS proxies, plus the ffmpeg remux fallback
+// Mounted at /stream (default provider) and /stream/providers/:provider
+// ==========================================
+
+const express = require('express');
+const axios = require('axios');
+const { sanitizeId, sanitizeExtension, sendError } = require('../helpers');
+const { buildMovieUrl, buildSeriesUrl, buildLiveUrl, buildTimeshiftUrl } = require('../xtream');
+const { verifyStreamToken, assertPublicHost, guardedLookup, isAllowedLiveTarget } = require('../streamTokens');
+const { liveHeaders, getResponseUrl, isPlaylistResponse, rewritePlaylist, sendPlaylist, readStream } = require('../hls');
+const { fetchAccountInfo, getProviderTimeZone } = require('../account');
+const { parseTimeshiftQuery, buildTimeshiftPlaylist } = require('../timeshift');
+const { isTranscodeAvailable, probe, planFor, startTranscode } = require('../transcode');
+const { requireStreamSlot } = require('../streamSessions');
+const { rateLimitFirst } = require('../rateLimit');
+const { ownerOf } = require('../userData');
+const { countBytes } = require('../metrics');
+const { LIVE_FORMATS } = require('../config');
+const { serverUrlFor, recordFailure, isRetryable } = require('../upstream');
+
+const router = express.Router({ mergeParams: true });
+
+// Stream URLs follow the host, port and protocol in the account's server_info,
+// so it is loaded (normally from the cache) before any are built
+async function loadServerInfo(req, res, next) {
+    await fetchAccountInfo(req.provider).catch(() => {});
+    next();
+}
+
+// Pipes one continuous MPEG-TS stream (live or archive); resolves false when the provider refused it
+async function pipeTransportStream(req, res, targetUrl, route) {
+    const response = await axios({
+        method: 'GET',
+        url: targetUrl,
+        responseType: 'stream',
+        timeout: 30000,
+        headers: liveHeaders(targetUrl),
+        maxRedirects: 5,
+        validateStatus: s => s < 500
+    });
+
+    if (response.status !== 200) {
+        response.data.destroy();
+        return false;
+    }
+
+    res.setHeader('Content-Type', response.headers['content-type'] || 'video/mp2t');
+    if (response.headers['content-length']) res.setHeader('Content-Length', response.headers['content-length']);
+    countBytes(response.data, route);
+    response.data.pipe(res);
+
+    res.on('close', () => {
+        if (!res.writableEnded) response.data.destroy();
+    });
+    return true;
+}
+
+// ==========================================
+// VOD STREAMING
+// ==========================================
+
+router.get('/:id(\\d+)', loadServerInfo, requireStreamSlot('movie'), async (req, res) => {
+    const streamId = sanitizeId(req.params.id);
+    const extension = sanitizeExtension(req.query.ext);
+
+    if (!streamId) return sendError(res, 400, 'Invalid stream ID');
+
+    // Unreachable servers rotate to the next backup URL, so the player's retry lands elsewhere
+    const serverUrl = serverUrlFor(req.provider);
+
+    try {
+        const movieUrl = buildMovieUrl(req.provider, streamId, extension);
+        const headers = {
+            'User-Agent': 'VLC/3.0.18 LibVLC/3.0.18',
+            'Accept': '*/*',
+            'Accept-Encoding': 'identity',
+            'Connection': 'keep-alive'
+        };
+
+        if (req.headers.range) {
+            headers['Range'] = req.headers.range;
+        }
+
+        const response = await axios({
+            method: 'GET',
+            url: movieUrl,
+            headers,
+            responseType: 'stream',
+            timeout: 30000,
+            validateStatus: s => s < 500
+        });
+
+        res.status(response.status);
+
+        ['content-type', 'content-length', 'content-range', 'accept-ranges'].forEach(h => {
+            if (response.headers[h]) res.setHeader(h, response.headers[h]);
+        });
+
+        if (!response.headers['accept-ranges']) {
+            res.setHeader('Accept-Ranges', 'bytes');
+        }
+
+        countBytes(response.data, 'movie');
+        response.data.pipe(res);
+
+        response.data.on('error', () => {
+            if (!res.headersSent) res.status(500).end();
+        });
+
+        req.on('close', () => {
+            if (!res.writableEnded) response.data.destroy();
+        });
+
+    } catch (error) {
+        if (isRetryable(error)) recordFailure(req.provider, serverUrl);
+        sendError(res, 500, 'Streaming failed');
+    }
+});
+
+// ==========================================
+// SERIES STREAMING
+// ==========================================
+
+router.get('/series/:id/:extension', loadServerInfo, requireStreamSlot('series'), async (req, res) => {
+    const episodeId = sanitizeId(req.params.id);
+    const extension = sanitizeExtension(req.params.extension);
+
+    if (!episodeId) return sendError(res, 400, 'Invalid episode ID');
+
+    const serverUrl = serverUrlFor(req.provider);
+
+    try {
+        const episodeUrl = buildSeriesUrl(req.provider, episodeId, extension);
+        const headers = {
+            'User-Agent': 'VLC/3.0.18 LibVLC/3.0.18',
+            'Accept': '*/*',
+            'Accept-Encoding': 'identity',
+            'Connection': 'keep-alive'
+        };
+
+        if (req.headers.range) {
+            headers['Range'] = req.headers.range;
+        }
+
+        const response = await axios({
+            method: 'GET',
+            url: episodeUrl,
+            headers,
+            responseType: 'stream',
+            timeout: 30000,
+            validateStatus: s => s < 500
+        });
+
+        res.status(response.status);
+
+        ['content-length', 'content-range', 'accept-ranges'].forEach(h => {
+            if (response.headers[h]) res.setHeader(h, response.headers[h]);
+        });
+
+        // Set correct content type
+        if (extension === 'mkv') {
+            res.setHeader('Content-Type', 'video/x-matroska');
+        } else if (extension === 'avi') {
+            res.setHeader('Content-Type', 'video/x-msvideo');
+        } else if (extension === 'm3u8') {
+            res.setHeader('Content-Type', 'application/x-mpegURL');
+        } else {
+            res.setHeader('Content-Type', response.headers['content-type'] || 'video/mp4');
+        }
+
+        if (!response.headers['accept-ranges']) {
+            res.setHeader('Accept-Ranges', 'bytes');
+        }
+
+        countBytes(response.data, 'series');
+        response.data.pipe(res);
+
+        response.data.on('error', () => {
+            if (!res.headersSent) res.status(500).end();
+        });
+
+        req.on('close', () => {
+            if (!res.writableEnded) response.data.destroy();
+        });
+
+    } catch (error) {
+        if (isRetryable(error)) recordFailure(req.provider, serverUrl);
+        sendError(res, 500, 'Streaming failed');
+    }
+});
+
+// ==========================================
+// REMUX / TRANSCODE FALLBACK
+// Used by the player when the browser cannot play the original file
+// ==========================================
+
+function transcodeSource(req) {
+    const id = sanitizeId(req.params.id);
+    if (!id) return null;
+
+    const extension = sanitizeExtension(req.query.ext);
+    const build = req.params.kind === 'series' ? buildSeriesUrl : buildMovieUrl;
+    return {
+        key: `${req.provider.id}:${req.params.kind}:${id}:${extension}`,
+        url: build(req.provider, id, extension)
+    };
+}
+
+// Reports whether the fallback exists and what ffmpeg would do with this title
+router.get('/transcode/:kind(movie|series)/:id/probe', loadServerInfo, async (req, res) => {
+    const source = transcodeSource(req);
+    if (!source) return sendError(res, 400, 'Invalid stream ID');
+
+    if (!(await isTranscodeAvailable())) {
+        return res.json({ success: true, available: false });
+    }
+
+    let media = null;
+    try {
+        ({ data: media } = await probe(source.key, source.url));
+    } catch (error) {
+        req.log.warn('Probe failed', { kind: req.params.kind, id: req.params.id, error: error.message });
+    }
+
+    const plan = planFor(media);
+    res.json({
+        success: true,
+        available: true,
+        duration: media?.duration || null,
+        video: media?.video || null,
+        audio: media?.audio || null,
+        plan,
+        // MKV with browser codecs usually plays as-is; AVI and anything needing conversion does not
+        directPlay: Boolean(media) && plan.video === 'copy' && plan.audio === 'copy' && sanitizeExtension(req.query.ext) !== 'avi'
+    });
+});
+
+// ?start=<seconds> restarts ffmpeg there; the player adds it back to the reported time
+router.get('/transcode/:kind(movie|series)/:id', loadServerInfo, requireStreamSlot(), async (req, res) => {
+    const source = transcodeSource(req);
+    if (!source) return sendError(res, 400, 'Invalid stream ID');
+
+    if (!(await isTranscodeAvailable())) return sendError(res, 404, 'Transcoding is not enabled');
+
+    const start = Math.max(parseFloat(req.query.start) || 0, 0);
+
+    let media = null;
+    try {
+        ({ data: media } = await probe(source.key, source.url));
+    } catch (error) {
+        // Fall through to the default plan
+    }
+
+    if (!startTranscode(res, { url: source.url, start, plan: planFor(media), log: req.log })) {
+        sendError(res, 503, 'All transcoding slots are busy, try again shortly');
+    }
+});
+
+// ==========================================
+// LIVE TV STREAMING (Full HLS Proxy)
+// ==========================================
+
+// A viewer opening a channel counts once; the player's playlist reloads for it do not
+const limitNewStreams = rateLimitFirst(
+    'streams',
+    req => `${ownerOf(req)}|${req.ip}|${req.provider.id}|${req.path}`,
+    'Too many new streams, try again later'
+);
+
+// ?format=m3u8 returns the HLS playlist, ?format=ts streams MPEG-TS; without it the provider's liveFormat decides
+router.get('/live/:id(\\d+)', limitNewStreams, loadServerInfo, async (req, res) => {
+    const streamId = sanitizeId(req.params.id);
+    if (!streamId) return sendError(res, 400, 'Invalid channel ID');
+
+    const format = LIVE_FORMATS.includes(req.query.format) ? req.query.format : req.provider.liveFormat;
+    const serverUrl = serverUrlFor(req.provider);
+    const liveUrl = buildLiveUrl(req.provider, streamId, format);
+
+    try {
+        if (format === 'ts') {
+            if (!(await pipeTransportStream(req, res, liveUrl, 'live'))) sendError(res, 502, 'Channel stream unavailable');
+            return;
+        }
+
+        const response = await axios({
+            method: 'GET',
+            url: liveUrl,
+            responseType: 'text',
+            timeout: 15000,
+            headers: liveHeaders(liveUrl),
+            maxRedirects: 5,
+            validateStatus: s => s < 500
+        });
+
+        if (response.status !== 200 || typeof response.data !== 'string' || !response.data.includes('#EXTM3U')) {
+            return sendError(res, 502, 'Channel playlist unavailable');
+        }
+
+        sendPlaylist(res, rewritePlaylist(response.data, getResponseUrl(response, liveUrl)));
+    } catch (error) {
+        if (isRetryable(error)) recordFailure(req.provider, serverUrl);
+        req.log.warn('Live playlist failed', { provider: req.provider.id, channel: streamId, error: error.message });
+        sendError(res, 502, 'Failed to load channel');
+    }
+});
+
+// ==========================================
+// CATCH-UP (TIMESHIFT)
+// ==========================================
+
+// ?start=<unix seconds>&duration=<minutes> returns an HLS playlist over the archive;
+// &format=ts streams the provider's single MPEG-TS file instead (for external players)
+router.get('/timeshift/:id(\\d+)', limitNewStreams, async (req, res) => {
+    const streamId = sanitizeId(req.params.id);
+    const archive = parseTimeshiftQuery(req.query);
+
+    if (!streamId) return sendError(res, 400, 'Invalid channel ID');
+    if (!archive) return sendError(res, 400, 'Invalid archive window (start must be in the past, duration in minutes)');
+
+    const timeZone = await getProviderTimeZone(req.provider);
+    req.log.info('Catch-up', { provider: req.provider.id, channel: streamId, start: new Date(archive.start * 1000).toISOString(), minutes: archive.duration });
+
+    if (req.query.format !== 'ts') {
+        return sendPlaylist(res, buildTimeshiftPlaylist(req.provider, streamId, archive, timeZone));
+    }
+
+    const archiveUrl = buildTimeshiftUrl(req.provider, streamId, archive.start, archive.duration, timeZone);
+
+    try {
+        if (!(await pipeTransportStream(req, res, archiveUrl, 'timeshift'))) {
+            sendError(res, 404, 'Archive not available for this time');
+        }
+    } catch (error) {
+        req.log.warn('Catch-up stream failed', { provider: req.provider.id, channel: streamId, error: error.message });
+        sendError(res, 502, 'Failed to load archive');
+    }
+});
+
+// Live segment proxy (nested playlists, segments and keys).
+// Players hit this every few seconds, so only failures are logged above debug level.
+router.get('/live-segment', async (req, res) => {
+    const segmentUrl = verifyStreamToken(req.query.token);
+
+    if (!segmentUrl) {
+        req.log.warn('Live segment token invalid or expired');
+        return res.status(403).end();
+    }
+
+    if (!isAllowedLiveTarget(segmentUrl)) {
+        req.log.warn('Live segment target host not allowed');
+        return res.status(403).end();
+    }
+
+    try {
+        assertPublicHost(new URL(segmentUrl).hostname);
+
+        const response = await axios({
+            method: 'GET',
+            url: segmentUrl,
+            responseType: 'stream',
+            timeout: 30000,
+            headers: liveHeaders(segmentUrl),
+            maxRedirects: 5,
+            lookup: guardedLookup,
+            beforeRedirect: options => assertPublicHost(options.hostname)
+        });
+
+        const finalUrl = getResponseUrl(response, segmentUrl);
+
+        if (isPlaylistResponse(finalUrl, response.headers)) {
+            const body = await readStream(response.data);
+            req.log.debug('Rewriting nested live playlist');
+            return sendPlaylist(res, rewritePlaylist(body, finalUrl));
+        }
+
+        const contentType = response.headers['content-type'] || 'video/mp2t';
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Cache-Control', 'no-cache');
+
+        req.log.debug('Streaming live segment', { contentType });
+
+        countBytes(response.data, 'live_segment');
+        response.data.pipe(res);
+
+        req.on('close', () => {
+            if (!res.writableEnded) response.data.destroy();
+        });
+
+    } catch (error) {
+        req.log.warn('Live segment fetch failed', { error: error.message });
+        if (!res.headersSent) res.status(500).end();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+'use strict';
+
+// ==========================================
+// STREAM SESSIONS API
+// The player claims a slot before it starts a movie or episode
+// ==========================================
+
+const express = require('express');
+const { AUTH_CONFIG } = require('../config');
+const { sanitizeId, sendError } = require('../helpers');
+const { getProvider, getDefaultProvider } = require('../providers');
+const { ownerOf } = require('../userData');
+const { listSessions, getSessionState, claimSession, releaseSession, sendSlotsBusy, sendTakenOver } = require('../streamSessions');
+const { sendRateLimited } = require('../rateLimit');
+
+const router = express.Router();
+
+const SESSION_TYPES = ['movie', 'series'];
+
+function isAdmin(req) {
+    return !AUTH_CONFIG.enabled || req.user?.role === 'admin';
+}
+
+// sendBeacon posts text/plain, so both JSON and text bodies are accepted
+function parseBody(req) {
+    if (typeof req.body !== 'string') return req.body || {};
+    try {
+        return JSON.parse(req.body);
+    } catch {
+        return {};
+    }
+}
+
+// ?provider= narrows the list to one account
+router.get('/api/streams/active', (req, res) => {
+    const provider = req.query.provider ? getProvider(req.query.provider) : null;
+    if (req.query.provider && !provider) return sendError(res, 404, 'Unknown provider');
+
+    const sessions = listSessions(provider?.id);
+    res.json({ success: true, count: sessions.length, sessions });
+});
+
+// Lets a player whose stream stopped find out whether someone took its slot
+router.get('/api/streams/session/:id', (req, res) => {
+    const id = sanitizeId(req.params.id);
+    if (!id) return sendError(res, 400, 'Invalid session');
+
+    res.json({ success: true, ...getSessionState(id) });
+});
+
+// Body: { session, provider, type, id, name, takeover }; `takeover` is a session id from the busy response
+router.post('/api/streams/claim', async (req, res) => {
+    const body = parseBody(req);
+    const id = sanitizeId(body.session);
+    const type = SESSION_TYPES.includes(body.type) ? body.type : null;
+    const contentId = sanitizeId(body.id);
+    const provider = body.provider ? getProvider(body.provider) : getDefaultProvider();
+
+    if (!id || !type || !contentId || !provider) return sendError(res, 400, 'Invalid stream session');
+
+    try {
+        const result = await claimSession({
+            req,
+            id,
+            owner: ownerOf(req),
+            provider,
+            type,
+            contentId,
+            name: typeof body.name === 'string' ? body.name.slice(0, 200) : null,
+            takeover: body.takeover ? sanitizeId(body.takeover) : null
+        });
+
+        if (result.limited) return sendRateLimited(res, result.retryAfter, 'Too many new streams, try again later');
+        if (result.busy) return sendSlotsBusy(res, result);
+        if (result.takenOver) return sendTakenOver(res, result);
+        if (result.foreign) return sendError(res, 403, 'Stream session belongs to another user');
+
+        res.json({ success: true, session: { id: result.session.id, startedAt: result.session.startedAt } });
+    } catch (error) {
+        sendError(res, 500, 'Failed to reserve a stream slot');
+    }
+});
+
+// Body: { session }; sent when the player page closes so the slot frees up at once
+router.post('/api/streams/release', express.text({ type: 'text/plain', limit: '4kb' }), (req, res) => {
+    const id = sanitizeId(parseBody(req).session);
+    if (!id) return sendError(res, 400, 'Invalid session');
+
+    res.json({ success: true, released: releaseSession(id, ownerOf(req), isAdmin(req)) });
+});
+
+module.exports = router;
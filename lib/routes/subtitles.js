@@ -0,0 +1,99 @@
+'use strict';
+
+// ==========================================
+// SUBTITLES API
+// Mounted at /api (default provider) and /api/providers/:provider
+// ==========================================
+
+const express = require('express');
+const { AUTH_CONFIG } = require('../config');
+const { sanitizeId, sendError } = require('../helpers');
+const { ownerOf } = require('../userData');
+const { SUBTITLE_TYPES, MAX_SUBTITLE_BYTES, listTracks, readTrack, saveUpload, removeUpload } = require('../subtitles');
+
+const router = express.Router({ mergeParams: true });
+
+function parseTitle(params) {
+    const type = SUBTITLE_TYPES.includes(params.type) ? params.type : null;
+    const id = sanitizeId(params.id);
+    return type && id ? { type, id } : null;
+}
+
+// Tracks carry a ready-to-use `src` under the same mount point as this listing
+router.get('/subtitles/:type/:id', async (req, res) => {
+    const title = parseTitle(req.params);
+    if (!title) return sendError(res, 400, 'Invalid title');
+
+    try {
+        const tracks = await listTracks(req.provider, title.type, title.id);
+        res.json({
+            success: true,
+            tracks: tracks.map(track => ({
+                ...track,
+                src: `${req.baseUrl}/subtitles/${title.type}/${title.id}/${track.id}.vtt`
+            }))
+        });
+    } catch (error) {
+        sendError(res, 500, 'Failed to load subtitles');
+    }
+});
+
+router.get('/subtitles/:type/:id/:track.vtt', async (req, res) => {
+    const title = parseTitle(req.params);
+    const trackId = sanitizeId(req.params.track);
+    if (!title || !trackId) return sendError(res, 400, 'Invalid subtitle track');
+
+    try {
+        const vtt = await readTrack(req.provider, title.type, title.id, trackId);
+        if (!vtt) return sendError(res, 404, 'Subtitle track not found');
+
+        res.set('Content-Type', 'text/vtt; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.send(vtt);
+    } catch (error) {
+        sendError(res, 502, 'Failed to fetch subtitle track');
+    }
+});
+
+// Body: the raw SRT/ASS/VTT file; ?language=&label=
+router.post('/subtitles/:type/:id', express.text({ type: () => true, limit: MAX_SUBTITLE_BYTES }), async (req, res) => {
+    const title = parseTitle(req.params);
+    if (!title) return sendError(res, 400, 'Invalid title');
+    if (typeof req.body !== 'string' || !req.body.trim()) return sendError(res, 400, 'Subtitle file is empty');
+
+    try {
+        const track = await saveUpload(req.provider, title.type, title.id, {
+            content: req.body,
+            language: req.query.language,
+            label: typeof req.query.label === 'string' ? req.query.label : '',
+            owner: ownerOf(req)
+        });
+        res.json({
+            success: true,
+            track: { ...track, source: 'upload', src: `${req.baseUrl}/subtitles/${title.type}/${title.id}/${track.id}.vtt` }
+        });
+    } catch (error) {
+        if (error.code === 'EINVALIDUPLOAD') return sendError(res, 400, error.message);
+        req.log.error('Subtitle upload could not be saved', { type: title.type, id: title.id, error: error.message });
+        sendError(res, 500, 'Failed to save subtitle file');
+    }
+});
+
+router.delete('/subtitles/:type/:id/:track', async (req, res) => {
+    const title = parseTitle(req.params);
+    const trackId = sanitizeId(req.params.track);
+    if (!title || !trackId) return sendError(res, 400, 'Invalid subtitle track');
+
+    try {
+        const { removed, forbidden } = await removeUpload(req.provider, title.type, title.id, trackId, {
+            owner: ownerOf(req),
+            canRemoveAny: !AUTH_CONFIG.enabled || req.user?.role === 'admin'
+        });
+        if (forbidden) return sendError(res, 403, 'Only the uploader can remove this track');
+        res.json({ success: true, removed });
+    } catch (error) {
+        sendError(res, 500, 'Failed to remove subtitle track');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+'use strict';
+
+// ==========================================
+// UTILITY ENDPOINTS
+// ==========================================
+
+const express = require('express');
+const { AUTH_CONFIG } = require('../config');
+const { clearCache } = require('../cache');
+const { getProviders, describeProvider } = require('../providers');
+const { getReadiness } = require('../health');
+const { sendError } = require('../helpers');
+
+const router = express.Router();
+
+// Body or query: { key } clears one entry, { prefix } e.g. "movies:category:" a group, neither clears all.
+// Admins only: clearing the full catalogs makes every provider send them again.
+router.post('/api/cache/clear', (req, res) => {
+    if (AUTH_CONFIG.enabled && req.user?.role !== 'admin') return sendError(res, 403, 'Only admins can clear the cache');
+
+    const key = String(req.body?.key || req.query.key || '').trim();
+    const prefix = String(req.body?.prefix || req.query.prefix || '').trim();
+    const removed = clearCache({ key, prefix });
+    res.json({ success: true, message: 'Cache cleared', removed });
+});
+
+router.get('/api/providers', (req, res) => {
+    res.json({ success: true, providers: getProviders().map(describeProvider) });
+});
+
+// Liveness: the process is up and answering
+router.get('/api/health', (req, res) => {
+    res.json({
+        success: true,
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+    });
+});
+
+// Readiness: 503 once no provider is reachable with valid credentials, so traffic can be routed elsewhere
+router.get('/api/health/ready', async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+
+    try {
+        const report = await getReadiness();
+        const ready = report.status !== 'unavailable';
+        res.status(ready ? 200 : 503).json({ success: ready, ...report, uptime: process.uptime() });
+    } catch (error) {
+        req.log.error('Readiness check failed', { error: error.message });
+        sendError(res, 503, 'Readiness check failed');
+    }
+});
+
+module.exports = router;
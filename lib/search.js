@@ -0,0 +1,144 @@
+'use strict';
+
+// ==========================================
+// CATALOG SEARCH
+// In-memory index over the full movie, series and live catalogs
+// ==========================================
+
+const { getFullCatalog } = require('./catalogStore');
+
+const SEARCH_TYPES = ['movies', 'series', 'live'];
+
+const ARABIC_REPLACEMENTS = [
+    [/[أإآٱ]/g, 'ا'],
+    [/ة/g, 'ه'],
+    [/ى/g, 'ي'],
+    [/ؤ/g, 'و'],
+    [/ئ/g, 'ي'],
+    [/ـ/g, ''], // Tatweel
+    [/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660)],
+    [/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0)]
+];
+
+const indexes = {};
+
+// Lowercase, strip diacritics (Latin accents and Arabic harakat) and unify Arabic letter variants
+function normalizeText(text) {
+    let value = String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+    ARABIC_REPLACEMENTS.forEach(([pattern, replacement]) => {
+        value = value.replace(pattern, replacement);
+    });
+    return value.replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Levenshtein distance, giving up early once it exceeds max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+// Best score of one query term against an item's words (0 when nothing matches)
+function scoreTerm(term, words) {
+    let best = 0;
+    const maxTypos = allowedTypos(term);
+
+    for (const word of words) {
+        if (word === term) return 3;
+        if (word.startsWith(term)) best = Math.max(best, 2);
+        else if (term.length >= 3 && word.includes(term)) best = Math.max(best, 1.5);
+        else if (maxTypos > 0 && best < 1) {
+            // Typos in a whole word, or in the part typed so far
+            const prefix = word.slice(0, term.length);
+            if (editDistance(term, word, maxTypos) <= maxTypos || editDistance(term, prefix, maxTypos) <= maxTypos) {
+                best = 1;
+            }
+        }
+    }
+
+    return best;
+}
+
+function scoreEntry(entry, query, terms) {
+    let total = 0;
+
+    for (const term of terms) {
+        const score = scoreTerm(term, entry.words);
+        if (score === 0) return 0;
+        total += score;
+    }
+
+    if (entry.text === query) total += 3;
+    else if (entry.text.startsWith(query)) total += 1;
+
+    return total;
+}
+
+// The index is rebuilt whenever the underlying catalog cache is replaced
+async function getIndex(type) {
+    const { data: items } = await getFullCatalog(type);
+
+    if (!indexes[type] || indexes[type].source !== items) {
+        indexes[type] = {
+            source: items,
+            entries: items.map(item => {
+                const text = normalizeText(item.name);
+                return { item, text, words: text.split(' ').filter(Boolean) };
+            })
+        };
+    }
+
+    return indexes[type].entries;
+}
+
+// Returns { movies, series, live } result lists for the requested types, best matches first
+async function search(queryText, types = SEARCH_TYPES, limit = 20) {
+    const query = normalizeText(queryText);
+    const terms = query.split(' ').filter(Boolean);
+    const results = {};
+
+    await Promise.all(types.map(async type => {
+        if (terms.length === 0) {
+            results[type] = [];
+            return;
+        }
+
+        const entries = await getIndex(type);
+        results[type] = entries
+            .map(entry => ({ entry, score: scoreEntry(entry, query, terms) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score || a.entry.text.length - b.entry.text.length)
+            .slice(0, limit)
+            .map(match => match.entry.item);
+    }));
+
+    return results;
+}
+
+module.exports = {
+    SEARCH_TYPES,
+    normalizeText,
+    search
+};
@@ -0,0 +1,231 @@
+'use strict';
+
+// ==========================================
+// STREAM SESSIONS
+// Every VOD/series playback holds one of the provider's connection slots
+// (user_info.max_connections). A viewer that finds them all busy may take one over;
+// the displaced viewer's upstream connections are cut and its session stays refused.
+// ==========================================
+
+const crypto = require('crypto');
+const { STREAM_SESSION_CONFIG } = require('./config');
+const { sanitizeId, sendError } = require('./helpers');
+const { ownerOf } = require('./userData');
+const { fetchAccountInfo, normalizeAccount } = require('./account');
+const { takeHit, sendRateLimited } = require('./rateLimit');
+const { gauge, addCollector } = require('./metrics');
+const logger = require('./logger');
+
+// Taken-over sessions are refused this long so the old player cannot grab the slot straight back
+const TAKEN_OVER_TTL_MS = 600000;
+
+const sessions = new Map();
+const takenOver = new Map();
+
+const activeStreams = gauge('iptv_active_streams', 'Movie and episode stream sessions holding a provider slot', ['provider', 'type']);
+addCollector(() => {
+    prune();
+    activeStreams.reset();
+    const counts = new Map();
+    sessions.forEach(session => {
+        const key = `${session.provider}|${session.type}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    counts.forEach((count, key) => {
+        const [provider, type] = key.split('|');
+        activeStreams.set({ provider, type }, count);
+    });
+});
+
+// Sessions without open connections are kept for the grace period (seeks and range requests reconnect)
+function prune(now = Date.now()) {
+    for (const [id, session] of sessions) {
+        if (session.connections.size === 0 && now - session.lastActive > STREAM_SESSION_CONFIG.graceMs) {
+            sessions.delete(id);
+        }
+    }
+    for (const [id, entry] of takenOver) {
+        if (now - entry.at > TAKEN_OVER_TTL_MS) takenOver.delete(id);
+    }
+}
+
+// STREAM_MAX_SESSIONS wins; otherwise the account's max_connections, unlimited when unknown
+async function limitFor(provider) {
+    if (STREAM_SESSION_CONFIG.maxSessions) return STREAM_SESSION_CONFIG.maxSessions;
+
+    try {
+        const { data } = await fetchAccountInfo(provider);
+        const { maxConnections } = normalizeAccount(data).account;
+        return maxConnections > 0 ? maxConnections : null;
+    } catch {
+        return null;
+    }
+}
+
+function describeSession(session) {
+    return {
+        id: session.id,
+        user: session.owner,
+        provider: session.provider,
+        type: session.type,
+        contentId: session.contentId,
+        name: session.name,
+        startedAt: session.startedAt,
+        lastActive: session.connections.size > 0 ? Date.now() : session.lastActive,
+        connections: session.connections.size
+    };
+}
+
+function listSessions(providerId) {
+    prune();
+    return [...sessions.values()]
+        .filter(session => !providerId || session.provider === providerId)
+        .sort((a, b) => a.startedAt - b.startedAt)
+        .map(describeSession);
+}
+
+function getSessionState(id) {
+    prune();
+    if (sessions.has(id)) return { state: 'active' };
+    if (takenOver.has(id)) return { state: 'taken_over', by: takenOver.get(id).by };
+    return { state: 'unknown' };
+}
+
+// Cuts every upstream connection of the session and refuses it from now on
+function takeOver(id, by) {
+    const session = sessions.get(id);
+    if (!session) return false;
+
+    sessions.delete(id);
+    takenOver.set(id, { by, at: Date.now() });
+    session.connections.forEach(abort => abort());
+    session.connections.clear();
+    logger.info('Stream slot taken over', { session: id, user: session.owner, type: session.type, contentId: session.contentId, by });
+    return true;
+}
+
+// Resolves to { session }, { busy, limit, sessions }, { takenOver, by }, { foreign } or { limited, retryAfter };
+// `takeover` names the session to displace when the slots are full, `req` is rate limited for new sessions
+async function claimSession({ req, id, owner, provider, type, contentId, name, takeover }) {
+    prune();
+
+    if (takenOver.has(id) && !takeover) return { takenOver: true, by: takenOver.get(id).by };
+
+    const limit = await limitFor(provider);
+
+    // Nothing below awaits, so the count and the insert cannot interleave with another claim
+    const existing = sessions.get(id);
+    if (existing && existing.owner !== owner) return { foreign: true };
+    if (existing) {
+        if (name && !existing.name) existing.name = name;
+        return { session: existing };
+    }
+
+    const retryAfter = takeHit('streams', req);
+    if (retryAfter !== null) return { limited: true, retryAfter };
+
+    const others = [...sessions.values()].filter(session => session.provider === provider.id);
+    if (limit && others.length >= limit) {
+        const target = takeover && others.find(session => session.id === takeover);
+        if (!target) return { busy: true, limit, sessions: others.map(describeSession) };
+        takeOver(target.id, owner);
+    }
+
+    takenOver.delete(id);
+    const session = {
+        id,
+        owner,
+        provider: provider.id,
+        type,
+        contentId,
+        name: name || null,
+        startedAt: Date.now(),
+        lastActive: Date.now(),
+        connections: new Set()
+    };
+    sessions.set(id, session);
+    return { session };
+}
+
+// Only the owner (or an admin) may end a session early; otherwise it lapses after the grace period
+function releaseSession(id, owner, isAdmin) {
+    const session = sessions.get(id);
+    if (!session || (session.owner !== owner && !isAdmin)) return false;
+
+    if (session.connections.size === 0) {
+        sessions.delete(id);
+    } else {
+        session.lastActive = 0;
+    }
+    return true;
+}
+
+// Registers an open upstream connection; `abort` is called if the slot is taken over.
+// Returns the function to call once the connection has closed.
+function trackConnection(session, abort) {
+    session.connections.add(abort);
+    return () => {
+        session.connections.delete(abort);
+        session.lastActive = Date.now();
+    };
+}
+
+function sendSlotsBusy(res, result) {
+    res.status(409).json({
+        success: false,
+        error: `All ${result.limit} stream slots are busy`,
+        code: 'slots_busy',
+        limit: result.limit,
+        sessions: result.sessions
+    });
+}
+
+function sendTakenOver(res, result) {
+    res.status(409).json({
+        success: false,
+        error: `Your stream slot was taken over by ${result.by}`,
+        code: 'taken_over'
+    });
+}
+
+// Route middleware holding a slot for as long as the response is open. The player passes
+// ?session=<id> from its claim; external players (M3U playlists, VLC) get a session derived
+// from who they are and what they play. Without `type` the :kind route param is used.
+function requireStreamSlot(type) {
+    return async (req, res, next) => {
+        const contentId = sanitizeId(req.params.id);
+        if (!contentId) return next();
+
+        const kind = type || req.params.kind;
+
+        const owner = ownerOf(req);
+        const id = sanitizeId(req.query.session) || crypto.createHash('sha256')
+            .update(`${owner}|${req.ip}|${req.provider.id}|${kind}|${contentId}`)
+            .digest('hex')
+            .slice(0, 32);
+
+        try {
+            const result = await claimSession({ req, id, owner, provider: req.provider, type: kind, contentId });
+            if (result.limited) return sendRateLimited(res, result.retryAfter, 'Too many new streams, try again later');
+            if (result.busy) return sendSlotsBusy(res, result);
+            if (result.takenOver) return sendTakenOver(res, result);
+            if (result.foreign) return sendError(res, 403, 'Stream session belongs to another user');
+
+            // A take-over destroys the response, which in turn closes the upstream request
+            res.on('close', trackConnection(result.session, () => res.destroy()));
+            next();
+        } catch (error) {
+            sendError(res, 500, 'Failed to reserve a stream slot');
+        }
+    };
+}
+
+module.exports = {
+    listSessions,
+    getSessionState,
+    claimSession,
+    releaseSession,
+    sendSlotsBusy,
+    sendTakenOver,
+    requireStreamSlot
+};
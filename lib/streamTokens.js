@@ -0,0 +1,117 @@
+'use strict';
+
+// ==========================================
+// STREAM TOKENS & TARGET VALIDATION
+// ==========================================
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { STREAM_TOKEN_CONFIG } = require('./config');
+const { getProviders } = require('./providers');
+const { getProviderHosts } = require('./xtream');
+
+const TOKEN_KEYS = {
+    cipher: crypto.createHmac('sha256', STREAM_TOKEN_CONFIG.secret).update('stream-token-cipher').digest(),
+    signature: crypto.createHmac('sha256', STREAM_TOKEN_CONFIG.secret).update('stream-token-signature').digest()
+};
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// `ttl` (ms) overrides STREAM_TOKEN_TTL for URLs that must stay playable longer
+function signStreamToken(targetUrl, ttl = STREAM_TOKEN_CONFIG.ttl) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-ctr', TOKEN_KEYS.cipher, iv);
+    const payload = JSON.stringify({ url: targetUrl, exp: Date.now() + ttl });
+    const encrypted = Buffer.concat([iv, cipher.update(payload, 'utf8'), cipher.final()]);
+    const signature = crypto.createHmac('sha256', TOKEN_KEYS.signature).update(encrypted).digest();
+    return `${encrypted.toString('base64url')}.${signature.toString('base64url')}`;
+}
+
+// Returns the target URL, or null when the token is forged, malformed or expired
+function verifyStreamToken(token) {
+    if (typeof token !== 'string' || token.length > 4096) return null;
+
+    const [data, signature] = token.split('.');
+    if (!data || !signature) return null;
+
+    const encrypted = Buffer.from(data, 'base64url');
+    const expected = crypto.createHmac('sha256', TOKEN_KEYS.signature).update(encrypted).digest();
+    const provided = Buffer.from(signature, 'base64url');
+
+    if (encrypted.length <= 16 || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return null;
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-ctr', TOKEN_KEYS.cipher, encrypted.subarray(0, 16));
+        const payload = JSON.parse(Buffer.concat([decipher.update(encrypted.subarray(16)), decipher.final()]).toString('utf8'));
+        if (typeof payload.url !== 'string' || !(payload.exp > Date.now())) return null;
+        return payload.url;
+    } catch {
+        return null;
+    }
+}
+
+function isProviderHost(hostname) {
+    const host = String(hostname).toLowerCase();
+    return getProviders().some(provider => getProviderHosts(provider).includes(host)) ||
+        STREAM_TOKEN_CONFIG.extraHosts.includes(host);
+}
+
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+
+    const family = net.isIP(address);
+    if (!family) return false;
+    return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Literal IPs never reach the DNS lookup, so redirects to them are checked here
+function assertPublicHost(hostname) {
+    const host = String(hostname).replace(/^\[|\]$/g, '');
+    if (!isProviderHost(host) && isPrivateAddress(host)) {
+        throw new Error(`Blocked private address: ${host}`);
+    }
+}
+
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!isProviderHost(hostname) && addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new Error(`Blocked private address for ${hostname}`));
+        }
+
+        callback(null, address, family);
+    });
+}
+
+// Only configured provider origins (plus IPTV_ALLOWED_HOSTS) may be fetched through the segment proxy
+function isAllowedLiveTarget(targetUrl) {
+    let url;
+    try {
+        url = new URL(targetUrl);
+    } catch {
+        return false;
+    }
+
+    return (url.protocol === 'http:' || url.protocol === 'https:') && isProviderHost(url.hostname);
+}
+
+module.exports = {
+    signStreamToken,
+    verifyStreamToken,
+    assertPublicHost,
+    guardedLookup,
+    isAllowedLiveTarget
+};
@@ -0,0 +1,302 @@
+'use strict';
+
+// ==========================================
+// SUBTITLES
+// Provider-listed tracks and uploaded sidecar files, always served as WebVTT.
+// Uploads live in <DATA_DIR>/subtitles/<provider>/<type>-<id>.json (+ one .vtt per track)
+// ==========================================
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { CACHE_CONFIG, STORAGE_CONFIG } = require('./config');
+const { axiosDefaults } = require('./xtream');
+const { fetchMovieInfo } = require('./catalog');
+const { withCache } = require('./cache');
+const { isAllowedLiveTarget, assertPublicHost, guardedLookup } = require('./streamTokens');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const SUBTITLE_TYPES = ['movie', 'series'];
+const MAX_SUBTITLE_BYTES = 2 * 1024 * 1024;
+const MAX_UPLOADS_PER_TITLE = 20;
+const SUBTITLES_DIR = path.join(STORAGE_CONFIG.dataDir, 'subtitles');
+
+// ==========================================
+// FORMAT CONVERSION
+// ==========================================
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+function formatVttTime(seconds) {
+    const ms = Math.max(Math.round(seconds * 1000), 0);
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor((ms % 3600000) / 60000);
+    const s = Math.floor((ms % 60000) / 1000);
+    return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+// "01:02:03,456" (SRT) or "1:02:03.45" (ASS centiseconds) -> seconds
+function parseTimestamp(value) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, h = 0, m, s, fraction] = match;
+    return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(`0.${fraction}`);
+}
+
+function escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// SRT allows a little HTML; WebVTT understands <b>, <i> and <u> and nothing else from it
+function cleanSrtText(text) {
+    const kept = [];
+    const stashed = text
+        .replace(/\{\\[^}]*\}/g, '')
+        .replace(/<\/?([biu])>/gi, (tag) => {
+            kept.push(tag.toLowerCase());
+            return `\u0000${kept.length - 1}\u0000`;
+        })
+        .replace(/<[^>]*>/g, '');
+
+    return escapeCueText(stashed).replace(/\u0000(\d+)\u0000/g, (_, index) => kept[index]);
+}
+
+function parseSrt(text) {
+    return text.split(/\n\s*\n/).map(block => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) return null;
+
+        const [start, end] = lines[timingIndex].split('-->').map(part => parseTimestamp(part.trim().split(/\s+/)[0]));
+        const body = lines.slice(timingIndex + 1).join('\n').trim();
+        return start !== null && end !== null && body ? { start, end, text: cleanSrtText(body) } : null;
+    }).filter(Boolean);
+}
+
+// Reads Dialogue lines from [Events] using the section's own Format line (field order varies)
+function parseAss(text) {
+    const cues = [];
+    let inEvents = false;
+    let fields = null;
+
+    for (const line of text.split('\n')) {
+        const trimmed = line.trim();
+
+        if (/^\[.*\]$/.test(trimmed)) {
+            inEvents = trimmed.toLowerCase() === '[events]';
+            continue;
+        }
+        if (!inEvents) continue;
+
+        if (/^format:/i.test(trimmed)) {
+            fields = trimmed.slice(7).split(',').map(field => field.trim().toLowerCase());
+            continue;
+        }
+        if (!fields || !/^dialogue:/i.test(trimmed)) continue;
+
+        // Text is the last field and may itself contain commas
+        const values = trimmed.slice(9).split(',');
+        const row = {};
+        fields.forEach((field, index) => {
+            row[field] = index === fields.length - 1 ? values.slice(index).join(',') : values[index];
+        });
+
+        const start = parseTimestamp(row.start);
+        const end = parseTimestamp(row.end);
+        const body = String(row.text || '')
+            .replace(/\{[^}]*\}/g, '')
+            .replace(/\\[Nn]/g, '\n')
+            .replace(/\\h/g, ' ')
+            .trim();
+
+        if (start !== null && end !== null && body) cues.push({ start, end, text: escapeCueText(body) });
+    }
+
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+// Accepts SRT, ASS/SSA or WebVTT (detected from the content) and returns WebVTT
+function toWebVtt(input) {
+    const text = String(input || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+    if (/^WEBVTT/.test(text)) return text.endsWith('\n') ? text : `${text}\n`;
+
+    const cues = /^\s*\[(script info|v4\+? styles|events)\]/im.test(text) ? parseAss(text) : parseSrt(text);
+    if (cues.length === 0) return null;
+
+    const body = cues.map(cue => `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${cue.text}`).join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+}
+
+// ==========================================
+// TRACKS
+// ==========================================
+
+// "English", "eng", "en-US" -> lowercase code-ish value; empty when unusable
+function normalizeLanguage(value) {
+    const clean = String(value || '').trim().toLowerCase().replace(/[^a-z-]/g, '');
+    return clean.length >= 2 && clean.length <= 12 ? clean : '';
+}
+
+function titleFile(provider, type, id) {
+    return path.join(SUBTITLES_DIR, provider.id, `${type}-${id}.json`);
+}
+
+function trackFile(provider, type, id, trackId) {
+    return path.join(SUBTITLES_DIR, provider.id, `${type}-${id}-${trackId}.vtt`);
+}
+
+// title file -> tail of its queued updates
+const updateQueues = new Map();
+
+// Runs `update` once every earlier update of the same title has finished, so a read-modify-write
+// of the track list never interleaves with another (lost tracks, or more than the upload limit)
+function queueTitleUpdate(provider, type, id, update) {
+    const file = titleFile(provider, type, id);
+    const previous = updateQueues.get(file) || Promise.resolve();
+    const run = previous.catch(() => { }).then(update);
+
+    updateQueues.set(file, run);
+    run.finally(() => {
+        if (updateQueues.get(file) === run) updateQueues.delete(file);
+    }).catch(() => { });
+
+    return run;
+}
+
+async function readUploads(provider, type, id) {
+    const data = await readJsonFile(titleFile(provider, type, id), {});
+    return Array.isArray(data.tracks) ? data.tracks : [];
+}
+
+// get_vod_info lists subtitles as an array; only entries with a downloadable URL can be served.
+// Entries without one describe tracks embedded in the video container.
+async function providerTracks(provider, type, id) {
+    if (type !== 'movie') return [];
+
+    const { data } = await fetchMovieInfo(provider, id);
+    const listed = Array.isArray(data?.info?.subtitles) ? data.info.subtitles : [];
+
+    return listed.map((entry, index) => {
+        const item = typeof entry === 'string' ? { url: entry } : entry || {};
+        const url = item.url || item.file || item.src;
+        if (!url || !isAllowedLiveTarget(url)) return null;
+
+        const language = normalizeLanguage(item.language || item.lang || item.tags?.language);
+        return {
+            id: `p${index}`,
+            language,
+            label: String(item.label || item.title || item.tags?.title || language || `Track ${index + 1}`).slice(0, 60),
+            source: 'provider',
+            url
+        };
+    }).filter(Boolean);
+}
+
+// Provider tracks first, then uploads; `url` never leaves the server
+async function listTracks(provider, type, id) {
+    const [fromProvider, uploads] = await Promise.all([
+        providerTracks(provider, type, id).catch(() => []),
+        readUploads(provider, type, id)
+    ]);
+
+    return [
+        ...fromProvider.map(({ url, ...track }) => track),
+        ...uploads.map(track => ({ ...track, source: 'upload' }))
+    ];
+}
+
+// WebVTT text of one track, or null when it does not exist
+async function readTrack(provider, type, id, trackId) {
+    if (trackId.startsWith('p')) {
+        const track = (await providerTracks(provider, type, id)).find(t => t.id === trackId);
+        if (!track) return null;
+
+        // Guarded like live segments: the URL comes from the provider and may redirect anywhere
+        const { data } = await withCache(`subtitle:${provider.id}:${type}:${id}:${trackId}`, CACHE_CONFIG.ttl.info, async () => {
+            if (!isAllowedLiveTarget(track.url)) throw new Error('Subtitle host not allowed');
+            assertPublicHost(new URL(track.url).hostname);
+
+            const response = await axios.get(track.url, {
+                ...axiosDefaults,
+                responseType: 'text',
+                maxContentLength: MAX_SUBTITLE_BYTES,
+                lookup: guardedLookup,
+                beforeRedirect: options => assertPublicHost(options.hostname)
+            });
+            return toWebVtt(response.data);
+        });
+        return data;
+    }
+
+    const uploads = await readUploads(provider, type, id);
+    if (!uploads.some(t => t.id === trackId)) return null;
+
+    try {
+        return await fs.readFile(trackFile(provider, type, id, trackId), 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+// Rejections of the upload itself, whose message is safe to show the uploader
+function invalidUpload(message) {
+    const error = new Error(message);
+    error.code = 'EINVALIDUPLOAD';
+    return error;
+}
+
+// Converts and stores one sidecar file; returns the new track. Bad files throw with code
+// EINVALIDUPLOAD and a user-facing message; anything else is a storage failure.
+async function saveUpload(provider, type, id, { content, language, label, owner }) {
+    const vtt = toWebVtt(content);
+    if (!vtt) throw invalidUpload('Unrecognised subtitle file (expected SRT, ASS or WebVTT)');
+
+    return queueTitleUpdate(provider, type, id, async () => {
+        const uploads = await readUploads(provider, type, id);
+        if (uploads.length >= MAX_UPLOADS_PER_TITLE) throw invalidUpload(`At most ${MAX_UPLOADS_PER_TITLE} subtitle files per title`);
+
+        const cleanLanguage = normalizeLanguage(language);
+        const track = {
+            id: `u${crypto.randomBytes(6).toString('hex')}`,
+            language: cleanLanguage,
+            label: String(label || cleanLanguage || 'Uploaded').slice(0, 60),
+            uploadedBy: owner,
+            uploadedAt: Date.now()
+        };
+
+        const file = trackFile(provider, type, id, track.id);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, vtt);
+        await writeJsonFile(titleFile(provider, type, id), { tracks: [...uploads, track] });
+        return track;
+    });
+}
+
+// Uploaders may remove their own files; `canRemoveAny` covers admins
+function removeUpload(provider, type, id, trackId, { owner, canRemoveAny }) {
+    return queueTitleUpdate(provider, type, id, async () => {
+        const uploads = await readUploads(provider, type, id);
+        const track = uploads.find(t => t.id === trackId);
+        if (!track) return { removed: false };
+        if (!canRemoveAny && track.uploadedBy !== owner) return { removed: false, forbidden: true };
+
+        await writeJsonFile(titleFile(provider, type, id), { tracks: uploads.filter(t => t.id !== trackId) });
+        await fs.unlink(trackFile(provider, type, id, trackId)).catch(() => { });
+        return { removed: true };
+    });
+}
+
+module.exports = {
+    SUBTITLE_TYPES,
+    MAX_SUBTITLE_BYTES,
+    toWebVtt,
+    listTracks,
+    readTrack,
+    saveUpload,
+    removeUpload
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+// ==========================================
+// CATCH-UP / TIMESHIFT
+// Archive playback for channels with tv_archive, as seekable HLS built from minute-long chunks
+// ==========================================
+
+const { buildTimeshiftUrl } = require('./xtream');
+const { STREAM_TOKEN_CONFIG } = require('./config');
+const { proxyLiveUri } = require('./hls');
+
+const MAX_DURATION_MINUTES = 480;
+const MAX_ARCHIVE_DAYS = 30;
+
+// ?start=<unix seconds>&duration=<minutes>; the window is clipped so it never reaches past "now"
+function parseTimeshiftQuery(query, now = Math.floor(Date.now() / 1000)) {
+    const start = parseInt(query.start);
+    const duration = parseInt(query.duration);
+
+    if (!Number.isFinite(start) || !Number.isFinite(duration) || duration < 1) return null;
+    if (start >= now - 60 || start < now - MAX_ARCHIVE_DAYS * 86400) return null;
+
+    // Xtream addresses the archive by minute
+    const alignedStart = start - (start % 60);
+    const available = Math.floor((now - alignedStart) / 60);
+    return { start: alignedStart, duration: Math.min(duration, MAX_DURATION_MINUTES, available) };
+}
+
+// One segment per archive minute lets the player seek without downloading the whole programme.
+// Chunks are cut by the provider, so each starts a new discontinuity. The last chunk is fetched
+// up to `duration` minutes after the playlist, so tokens outlive the usual TTL by that much.
+function buildTimeshiftPlaylist(provider, streamId, { start, duration }, timeZone) {
+    const ttl = STREAM_TOKEN_CONFIG.ttl + duration * 60000;
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:60', '#EXT-X-MEDIA-SEQUENCE:0', '#EXT-X-PLAYLIST-TYPE:VOD'];
+
+    for (let minute = 0; minute < duration; minute++) {
+        if (minute > 0) lines.push('#EXT-X-DISCONTINUITY');
+        lines.push('#EXTINF:60.0,');
+        lines.push(proxyLiveUri(buildTimeshiftUrl(provider, streamId, start + minute * 60, 1, timeZone), undefined, ttl));
+    }
+
+    lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    parseTimeshiftQuery,
+    buildTimeshiftPlaylist
+};
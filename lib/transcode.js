@@ -0,0 +1,167 @@
+'use strict';
+
+// ==========================================
+// ON-THE-FLY REMUX / TRANSCODE
+// ffmpeg turns provider VOD into fragmented MP4 the browser can play:
+// codecs browsers decode are copied, the rest (AC3, DTS, MPEG-4 Part 2...) are converted.
+// Seeking restarts ffmpeg at the requested timestamp.
+// ==========================================
+
+const { execFile, spawn } = require('child_process');
+const { TRANSCODE_CONFIG, CACHE_CONFIG } = require('./config');
+const { withCache } = require('./cache');
+const { gauge, addCollector, countBytes } = require('./metrics');
+const logger = require('./logger');
+
+const USER_AGENT = 'VLC/3.0.18 LibVLC/3.0.18';
+const PROBE_TIMEOUT_MS = 20000;
+
+// What can go into fragmented MP4 untouched and still play in current browsers
+const COPY_VIDEO_CODECS = ['h264', 'vp9', 'av1'];
+const COPY_AUDIO_CODECS = ['aac', 'mp3', 'opus'];
+
+let availability = null;
+let activeJobs = 0;
+
+const transcodeJobs = gauge('iptv_transcode_jobs', 'Running ffmpeg remux/transcode processes');
+addCollector(() => transcodeJobs.set({}, activeJobs));
+
+function run(file, args, timeout) {
+    return new Promise((resolve, reject) => {
+        execFile(file, args, { timeout, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+            if (error) reject(error);
+            else resolve(stdout);
+        });
+    });
+}
+
+// Checked once per process; a missing binary turns the feature off instead of failing every request
+function isTranscodeAvailable() {
+    if (!TRANSCODE_CONFIG.enabled) return Promise.resolve(false);
+
+    if (!availability) {
+        availability = run(TRANSCODE_CONFIG.ffmpegPath, ['-version'], 5000)
+            .then(() => true)
+            .catch(error => {
+                logger.warn('TRANSCODE_ENABLED is set but ffmpeg could not be run', { error: error.code || error.message });
+                return false;
+            });
+    }
+    return availability;
+}
+
+// First video and audio stream plus the duration in seconds (null when unknown)
+function probe(cacheKey, url) {
+    return withCache(`probe:${cacheKey}`, CACHE_CONFIG.ttl.info, async () => {
+        const stdout = await run(TRANSCODE_CONFIG.ffprobePath, [
+            '-v', 'error',
+            '-user_agent', USER_AGENT,
+            '-show_entries', 'stream=codec_type,codec_name:format=duration',
+            '-of', 'json',
+            url
+        ], PROBE_TIMEOUT_MS);
+
+        const parsed = JSON.parse(stdout);
+        const streams = Array.isArray(parsed.streams) ? parsed.streams : [];
+        const codecOf = type => streams.find(stream => stream.codec_type === type)?.codec_name || null;
+        const duration = parseFloat(parsed.format?.duration);
+
+        return {
+            video: codecOf('video'),
+            audio: codecOf('audio'),
+            duration: Number.isFinite(duration) && duration > 0 ? duration : null
+        };
+    });
+}
+
+// Without probe data the video is assumed copyable and the audio is converted, the common MKV case
+function planFor(media) {
+    return {
+        video: !media || COPY_VIDEO_CODECS.includes(media.video) ? 'copy' : 'transcode',
+        audio: media && (!media.audio || COPY_AUDIO_CODECS.includes(media.audio)) ? 'copy' : 'transcode'
+    };
+}
+
+function buildArgs(url, start, plan) {
+    const args = ['-hide_banner', '-loglevel', 'error', '-nostdin', '-user_agent', USER_AGENT];
+
+    if (start > 0) args.push('-ss', String(start));
+
+    args.push(
+        '-i', url,
+        '-map', '0:v:0', '-map', '0:a:0?',
+        '-sn', '-dn'
+    );
+
+    if (plan.video === 'copy') {
+        args.push('-c:v', 'copy');
+    } else {
+        args.push('-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p');
+    }
+
+    if (plan.audio === 'copy') {
+        args.push('-c:a', 'copy');
+    } else {
+        args.push('-c:a', 'aac', '-b:a', '192k', '-ac', '2');
+    }
+
+    // Fragmented so playback can begin before ffmpeg reaches the end of the file
+    args.push('-movflags', 'frag_keyframe+empty_moov+default_base_moof', '-f', 'mp4', 'pipe:1');
+    return args;
+}
+
+// Pipes ffmpeg's output into `res`; returns false without touching `res` when every job slot is busy
+function startTranscode(res, { url, start = 0, plan, log = logger }) {
+    if (activeJobs >= TRANSCODE_CONFIG.maxJobs) return false;
+
+    activeJobs++;
+    const ffmpeg = spawn(TRANSCODE_CONFIG.ffmpegPath, buildArgs(url, start, plan), {
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stderr = '';
+    let finished = false;
+
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        activeJobs--;
+    };
+
+    res.status(200);
+    res.setHeader('Content-Type', 'video/mp4');
+    res.setHeader('Cache-Control', 'no-store');
+
+    countBytes(ffmpeg.stdout, 'transcode');
+    ffmpeg.stdout.pipe(res);
+
+    ffmpeg.stderr.on('data', chunk => {
+        if (stderr.length < 2000) stderr += chunk;
+    });
+
+    ffmpeg.on('error', error => {
+        finish();
+        log.error('ffmpeg failed to start', { error: error.message });
+        if (!res.headersSent) res.status(500);
+        res.end();
+    });
+
+    ffmpeg.on('close', code => {
+        finish();
+        if (code && !ffmpeg.killed) log.warn('ffmpeg exited with an error', { code, detail: stderr.trim().split('\n').pop() || null });
+    });
+
+    // The player restarts the stream on every seek, so abandoned processes must not linger
+    res.on('close', () => {
+        if (ffmpeg.exitCode === null) ffmpeg.kill('SIGKILL');
+    });
+
+    return true;
+}
+
+module.exports = {
+    isTranscodeAvailable,
+    probe,
+    planFor,
+    startTranscode
+};
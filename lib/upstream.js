@@ -0,0 +1,133 @@
+'use strict';
+
+// ==========================================
+// UPSTREAM RESILIENCE
+// Per-provider failover across backup server URLs and a circuit breaker:
+// after repeated failures calls fail fast (the cache keeps serving what it has)
+// until a trial call after the cooldown shows the provider is back
+// ==========================================
+
+const { UPSTREAM_CONFIG } = require('./config');
+const { gauge, addCollector } = require('./metrics');
+const logger = require('./logger');
+
+// provider id -> { active, failures, openedAt, probing }
+const states = new Map();
+
+const circuitOpen = gauge('iptv_upstream_circuit_open', 'Whether calls to the provider are currently failing fast (1) or not (0)', ['provider']);
+const activeServer = gauge('iptv_upstream_active_server', 'Index of the server URL in use (0 is the primary)', ['provider']);
+addCollector(() => {
+    states.forEach((state, id) => {
+        circuitOpen.set({ provider: id }, state.openedAt ? 1 : 0);
+        activeServer.set({ provider: id }, state.active);
+    });
+});
+
+function stateFor(provider) {
+    if (!states.has(provider.id)) {
+        states.set(provider.id, { active: 0, failures: 0, openedAt: null, probing: false });
+    }
+    return states.get(provider.id);
+}
+
+// The server URL requests should go to right now
+function serverUrlFor(provider) {
+    const urls = provider.serverUrls || [provider.serverUrl];
+    return urls[stateFor(provider).active] || provider.serverUrl;
+}
+
+// Concurrent failures against the same server move on only once. Only for failures another
+// server could fix (see isRetryable): an answer the provider rejected would be rejected there too
+function rotateServer(provider, failedUrl) {
+    const urls = provider.serverUrls || [provider.serverUrl];
+    const state = stateFor(provider);
+    if (urls.length < 2 || urls[state.active] !== failedUrl) return;
+
+    state.active = (state.active + 1) % urls.length;
+    logger.warn('Switching provider server', { provider: provider.id, server: new URL(urls[state.active]).host, index: state.active });
+}
+
+function circuitOpenError(provider) {
+    const error = new Error(`Provider ${provider.id} is unavailable, retrying later`);
+    error.code = 'ECIRCUITOPEN';
+    return error;
+}
+
+// Throws while the circuit is open; once the cooldown is over exactly one caller gets through as the trial
+function assertCircuitClosed(provider) {
+    const state = stateFor(provider);
+    if (!state.openedAt) return;
+
+    if (state.probing || Date.now() - state.openedAt < UPSTREAM_CONFIG.breakerCooldownMs) {
+        throw circuitOpenError(provider);
+    }
+    state.probing = true;
+}
+
+function recordSuccess(provider) {
+    const state = stateFor(provider);
+    if (state.openedAt) logger.info('Provider reachable again, circuit closed', { provider: provider.id });
+
+    state.failures = 0;
+    state.openedAt = null;
+    state.probing = false;
+}
+
+// A trial call that ended without telling whether the provider is back (e.g. a non-retryable
+// error) gives the turn to the next caller instead of leaving the circuit open for good
+function releaseTrial(provider) {
+    stateFor(provider).probing = false;
+}
+
+// One failed call (however many attempts it made) that another server could have served;
+// `serverUrl` is the base the last attempt went to
+function recordFailure(provider, serverUrl) {
+    const state = stateFor(provider);
+    state.failures++;
+    rotateServer(provider, serverUrl);
+
+    if (state.probing) {
+        state.probing = false;
+        state.openedAt = Date.now();
+    } else if (!state.openedAt && state.failures >= UPSTREAM_CONFIG.breakerThreshold) {
+        state.openedAt = Date.now();
+        logger.warn('Provider failing, circuit opened', {
+            provider: provider.id,
+            failures: state.failures,
+            cooldownMs: UPSTREAM_CONFIG.breakerCooldownMs
+        });
+    }
+}
+
+// Timeouts, refused/reset connections and 5xx answers; never a fast-failed call
+function isRetryable(error) {
+    if (error.code === 'ECIRCUITOPEN') return false;
+    return !error.response || error.response.status >= 500;
+}
+
+// Full jitter: anywhere between zero and the exponential step, so retrying clients spread out
+function backoffDelay(attempt) {
+    const step = Math.min(UPSTREAM_CONFIG.retryMaxMs, UPSTREAM_CONFIG.retryBaseMs * 2 ** attempt);
+    return Math.floor(Math.random() * step);
+}
+
+function getCircuitState(provider) {
+    const state = stateFor(provider);
+    return {
+        open: Boolean(state.openedAt),
+        failures: state.failures,
+        serverIndex: state.active
+    };
+}
+
+module.exports = {
+    serverUrlFor,
+    assertCircuitClosed,
+    recordSuccess,
+    recordFailure,
+    releaseTrial,
+    rotateServer,
+    isRetryable,
+    backoffDelay,
+    getCircuitState
+};
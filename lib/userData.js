@@ -0,0 +1,44 @@
+'use strict';
+
+// ==========================================
+// PER-USER DATA
+// One JSON file per user under <DATA_DIR>/<name>/ (history, favorites, ...)
+// ==========================================
+
+const path = require('path');
+const { STORAGE_CONFIG } = require('./config');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// Signed-in users get their own file; with auth disabled everyone shares one
+function ownerOf(req) {
+    return req.user ? req.user.username : 'anonymous';
+}
+
+// Returns { load(owner), save(owner) } over an in-memory object of entries keyed by string
+function createUserStore(name) {
+    const dir = path.join(STORAGE_CONFIG.dataDir, name);
+    const loaded = new Map();
+
+    const fileFor = owner => path.join(dir, `${owner}.json`);
+
+    // The promise is cached so concurrent first requests share one read
+    function load(owner) {
+        if (!loaded.has(owner)) {
+            loaded.set(owner, readJsonFile(fileFor(owner), {})
+                .then(data => (data.entries && typeof data.entries === 'object' ? data.entries : {})));
+        }
+        return loaded.get(owner);
+    }
+
+    async function save(owner) {
+        const entries = await load(owner);
+        return writeJsonFile(fileFor(owner), { entries });
+    }
+
+    return { load, save };
+}
+
+module.exports = {
+    ownerOf,
+    createUserStore
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+// ==========================================
+// USER ACCOUNTS
+// Local accounts in <DATA_DIR>/users.json with scrypt password hashes
+// ==========================================
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { promisify } = require('util');
+const { AUTH_CONFIG, STORAGE_CONFIG } = require('./config');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const logger = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERS_FILE = path.join(STORAGE_CONFIG.dataDir, 'users.json');
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const HASH_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+let users = null;
+let usersVersion = null;
+let loading = null;
+
+// Stored as scrypt$N$r$p$salt$hash so the cost can be raised later without breaking old hashes
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p, keyLength } = HASH_PARAMS;
+    const hash = await scrypt(password, salt, keyLength, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function checkPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+async function readUsers() {
+    const data = await readJsonFile(USERS_FILE, {});
+    return Array.isArray(data.users) ? data.users : [];
+}
+
+function writeUsers(list) {
+    return writeJsonFile(USERS_FILE, { users: list }, { mode: 0o600 });
+}
+
+// Modification time and size of the user file, null while it does not exist
+async function fileVersion() {
+    try {
+        const stats = await fs.stat(USERS_FILE);
+        return `${stats.mtimeMs}:${stats.size}`;
+    } catch {
+        return null;
+    }
+}
+
+async function refreshUsers(force) {
+    const version = await fileVersion();
+    if (users && !force && version === usersVersion) return users;
+
+    users = await readUsers();
+    usersVersion = version;
+
+    if (users.length === 0 && AUTH_CONFIG.adminUsername && AUTH_CONFIG.adminPassword) {
+        await createUser(AUTH_CONFIG.adminUsername, AUTH_CONFIG.adminPassword, { role: 'admin' });
+        logger.info('Created admin account', { username: AUTH_CONFIG.adminUsername });
+    }
+
+    return users;
+}
+
+// `npm run user:add` writes the file from another process, so it is read again whenever it
+// changed (or `force` is set); concurrent callers share one read, which also seeds the admin only once
+function loadUsers({ force = false } = {}) {
+    if (!loading) {
+        loading = refreshUsers(force).finally(() => {
+            loading = null;
+        });
+    }
+    return loading;
+}
+
+function validateCredentials(username, password) {
+    if (!USERNAME_PATTERN.test(String(username || ''))) {
+        return 'Username must be 3-32 characters of letters, numbers, _ . or -';
+    }
+    if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+async function createUser(username, password, { role = 'user' } = {}) {
+    const problem = validateCredentials(username, password);
+    if (problem) throw new Error(problem);
+
+    const list = users || await readUsers();
+    const name = String(username).toLowerCase();
+    if (list.some(user => user.username === name)) throw new Error(`User "${name}" already exists`);
+
+    const user = { username: name, role, passwordHash: await hashPassword(password), createdAt: new Date().toISOString() };
+    users = [...list, user];
+    await writeUsers(users);
+    usersVersion = await fileVersion();
+    return user;
+}
+
+// A miss re-reads the file in case the user was added within the file's timestamp resolution
+async function findUser(username) {
+    const name = String(username || '').toLowerCase();
+    const match = list => list.find(user => user.username === name) || null;
+    return match(await loadUsers()) || match(await loadUsers({ force: true }));
+}
+
+// Compares against a throwaway hash for unknown users so timing does not reveal which names exist
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+async function authenticate(username, password) {
+    const user = await findUser(username);
+    const valid = await checkPassword(password, user ? user.passwordHash : await DUMMY_HASH);
+    return user && valid ? user : null;
+}
+
+// Public view of a user, never includes the password hash
+function describeUser(user) {
+    return { username: user.username, role: user.role };
+}
+
+module.exports = {
+    loadUsers,
+    createUser,
+    findUser,
+    authenticate,
+    describeUser
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+// ==========================================
+// XTREAM CODES UPSTREAM
+// URL builders, request defaults and the instrumented API call, per provider account.
+// API URLs use whichever of the provider's server URLs is currently active.
+// ==========================================
+
+const axios = require('axios');
+const { UPSTREAM_CONFIG } = require('./config');
+const { sanitizeId, sanitizeExtension } = require('./helpers');
+const { recordUpstreamCall } = require('./metrics');
+const { serverUrlFor, assertCircuitClosed, recordSuccess, recordFailure, releaseTrial, rotateServer, isRetryable, backoffDelay } = require('./upstream');
+
+// Without an action player_api.php answers with the account and server details
+function buildApiUrl(provider, action, params = {}) {
+    const url = new URL(`${serverUrlFor(provider)}/player_api.php`);
+    url.searchParams.set('username', provider.username);
+    url.searchParams.set('password', provider.password);
+    if (action) url.searchParams.set('action', action);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            url.searchParams.set(key, String(value));
+        }
+    });
+    return url.toString();
+}
+
+// provider id -> stream origin from the server_info of the last account response
+const reportedOrigins = new Map();
+
+// server_info gives the host (url), protocol and a port per protocol; Xtream sends them as strings
+function originFromServerInfo(serverInfo) {
+    if (!serverInfo || !serverInfo.url) return null;
+
+    const protocol = String(serverInfo.server_protocol || 'http').toLowerCase() === 'https' ? 'https' : 'http';
+    const port = parseInt(protocol === 'https' ? serverInfo.https_port : serverInfo.port);
+    const host = String(serverInfo.url).trim().replace(/^[a-z]+:\/\//i, '').replace(/\/.*$/, '');
+
+    try {
+        const origin = new URL(`${protocol}://${host}`);
+        if (port > 0 && port < 65536) origin.port = String(port);
+        return origin.origin;
+    } catch {
+        return null;
+    }
+}
+
+// Called with every fresh account response so stream URLs follow what the provider reports
+function setServerInfo(provider, serverInfo) {
+    const origin = originFromServerInfo(serverInfo);
+    if (origin) reportedOrigins.set(provider.id, origin);
+    else reportedOrigins.delete(provider.id);
+}
+
+// Where live, VOD and series streams are fetched from: the configured streamUrl, else the
+// server_info origin, else the API server. server_info describes the primary server, so it
+// is ignored while requests have failed over to a backup URL.
+function getStreamBase(provider) {
+    if (provider.streamUrl) return provider.streamUrl;
+
+    const serverUrl = serverUrlFor(provider);
+    if (serverUrl === provider.serverUrl && reportedOrigins.has(provider.id)) return reportedOrigins.get(provider.id);
+    return serverUrl;
+}
+
+// Hostnames streams and segments of this provider may legitimately come from
+function getProviderHosts(provider) {
+    const urls = [...(provider.serverUrls || [provider.serverUrl]), provider.streamUrl, reportedOrigins.get(provider.id)];
+    return urls.filter(Boolean).map(url => new URL(url).hostname.toLowerCase());
+}
+
+function buildMovieUrl(provider, streamId, extension = 'mp4') {
+    const id = sanitizeId(streamId);
+    const ext = sanitizeExtension(extension);
+    return `${getStreamBase(provider)}/movie/${provider.username}/${provider.password}/${id}.${ext}`;
+}
+
+function buildSeriesUrl(provider, episodeId, extension = 'mp4') {
+    const id = sanitizeId(episodeId);
+    const ext = sanitizeExtension(extension);
+    return `${getStreamBase(provider)}/series/${provider.username}/${provider.password}/${id}.${ext}`;
+}
+
+// `format` is 'm3u8' (HLS) or 'ts' (one continuous MPEG-TS stream)
+function buildLiveUrl(provider, streamId, format = 'm3u8') {
+    const id = sanitizeId(streamId);
+    const ext = format === 'ts' ? 'ts' : 'm3u8';
+    return `${getLiveBase(provider)}${id}.${ext}`;
+}
+
+function getLiveBase(provider) {
+    return `${getStreamBase(provider)}/live/${provider.username}/${provider.password}/`;
+}
+
+// Xtream expects the start as YYYY-MM-DD:HH-MM in the provider's own timezone
+function formatTimeshiftStart(unixSeconds, timeZone = 'UTC') {
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(new Date(unixSeconds * 1000));
+    } catch {
+        return formatTimeshiftStart(unixSeconds, 'UTC');
+    }
+
+    const part = type => parts.find(p => p.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}:${part('hour')}-${part('minute')}`;
+}
+
+// `durationMinutes` of archive from `startSeconds` (unix) as one MPEG-TS stream
+function buildTimeshiftUrl(provider, streamId, startSeconds, durationMinutes, timeZone) {
+    const id = sanitizeId(streamId);
+    const start = formatTimeshiftStart(startSeconds, timeZone);
+    return `${getStreamBase(provider)}/timeshift/${provider.username}/${provider.password}/${durationMinutes}/${start}/${id}.ts`;
+}
+
+const axiosDefaults = {
+    timeout: 15000,
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; IPTV-Proxy/1.0)' },
+    validateStatus: status => status < 500
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// One player_api.php request with latency and outcome recorded per action; 4xx answers count as errors
+async function attemptGet(provider, label, url, options) {
+    const started = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+
+    try {
+        const response = await axios.get(url, { ...axiosDefaults, ...options });
+        recordUpstreamCall(label, provider.id, elapsed(), response.status < 400);
+        return response;
+    } catch (error) {
+        recordUpstreamCall(label, provider.id, elapsed(), false);
+        throw error;
+    }
+}
+
+// player_api.php call. API actions are read-only, so timeouts, connection errors and 5xx answers
+// are retried with jittered backoff (`options.retries` overrides UPSTREAM_RETRIES), moving on to
+// the next backup server each time; an open circuit fails at once without contacting the provider.
+// A call that fails counts once towards the breaker, and only when the failure was retryable.
+// `options.recordBreaker: false` is for probes: no circuit check, no failure counting, no failover.
+async function xtreamGet(provider, action, params = {}, options = {}) {
+    const { retries = UPSTREAM_CONFIG.retries, recordBreaker = true, ...axiosOptions } = options;
+    const label = action || 'account_info';
+
+    if (!recordBreaker) {
+        return attemptGet(provider, label, buildApiUrl(provider, action, params), axiosOptions);
+    }
+
+    // Checked once per call: a trial call keeps its turn through its own retries
+    assertCircuitClosed(provider);
+
+    for (let attempt = 0; ; attempt++) {
+        const serverUrl = serverUrlFor(provider);
+
+        try {
+            const response = await attemptGet(provider, label, buildApiUrl(provider, action, params), axiosOptions);
+            recordSuccess(provider);
+            return response;
+        } catch (error) {
+            if (!isRetryable(error)) {
+                releaseTrial(provider);
+                throw error;
+            }
+            if (attempt >= retries) {
+                recordFailure(provider, serverUrl);
+                throw error;
+            }
+            rotateServer(provider, serverUrl);
+            await sleep(backoffDelay(attempt));
+        }
+    }
+}
+
+module.exports = {
+    buildApiUrl,
+    buildMovieUrl,
+    buildSeriesUrl,
+    buildLiveUrl,
+    getLiveBase,
+    buildTimeshiftUrl,
+    setServerInfo,
+    getProviderHosts,
+    axiosDefaults,
+    xtreamGet
+};
@@ -3,8 +3,9 @@ const API_BASE = window.location.origin;
 let currentSection = null;
 let currentCategory = null;
 let categoriesCache = {};
-let contentCache = {};
+let providersCache = {};
 let isLoading = false;
+let pager = null;
 
 const welcomeState = document.getElementById('welcome-state');
 const loadingState = document.getElementById('loading-state');
@@ -21,9 +22,16 @@ const contentTitle = document.getElementById('content-title');
 const contentCount = document.getElementById('content-count');
 const contentType = document.getElementById('content-type');
 
+// Scroll sentinel that pulls in the next page of a category (requires js/pager.js)
+const contentMore = document.createElement('div');
+contentMore.className = 'load-more';
+contentMore.hidden = true;
+contentGrid.after(contentMore);
+
 const CATEGORY_ICONS = { 'action': '💥', 'comedy': '😂', 'drama': '🎭', 'horror': '👻', 'thriller': '🔪', 'romance': '💕', 'sci-fi': '🚀', 'fantasy': '🧙', 'animation': '🎨', 'documentary': '📽️', 'adventure': '🗺️', 'crime': '🕵️', 'family': '👨‍👩‍👧‍👦', 'mystery': '🔍', 'war': '⚔️', 'western': '🤠', 'musical': '🎵', 'sport': '⚽', 'news': '📰', 'kids': '🧸', 'entertainment': '🎪' };
 
 document.addEventListener('DOMContentLoaded', () => {
+    Favorites.load();
     document.querySelectorAll('.nav-link, .welcome-btn').forEach(btn => {
         btn.addEventListener('click', () => selectSection(btn.dataset.section));
     });
@@ -57,6 +65,7 @@ async function loadCategories(section) {
         if (!data.success) throw new Error(data.message || 'Failed to fetch categories');
 
         categoriesCache[section] = data.categories || [];
+        providersCache[section] = data.providers || [];
         renderCategories(categoriesCache[section], section);
         showCategories(section);
     } catch (error) {
@@ -67,33 +76,31 @@ async function loadCategories(section) {
     }
 }
 
-async function loadContent(section, categoryId, categoryName) {
+async function loadContent(section, category) {
     if (isLoading) return;
     isLoading = true;
-    currentCategory = { id: categoryId, name: categoryName, section };
+    const categoryName = category.category_name;
+    currentCategory = { category, section };
     showLoading(`Loading ${categoryName}...`);
 
-    try {
-        const cacheKey = `${section}_${categoryId}`;
-        if (contentCache[cacheKey]) {
-            renderContent(contentCache[cacheKey], section);
-            showContent(categoryName, section);
-            isLoading = false;
-            return;
-        }
-
-        const endpoint = section === 'movies' ? `/api/movies/category/${categoryId}` : section === 'series' ? `/api/series/category/${categoryId}` : `/api/live/category/${categoryId}`;
-        const response = await fetch(`${API_BASE}${endpoint}`);
-
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    if (pager) pager.destroy();
+    contentGrid.innerHTML = '';
+    contentGrid.className = section === 'live' ? 'channels-grid' : 'content-grid';
 
-        const data = await response.json();
-        if (!data.success) throw new Error(data.message || 'Failed to fetch content');
+    // The server pages the category (merging its sources); more pages load as the grid scrolls
+    const key = section === 'live' ? 'channels' : section;
+    pager = createCategoryPager({
+        section, key, category,
+        onPage: (items, _offset, data) => {
+            renderContent(items, section);
+            contentCount.textContent = data.total;
+        }
+    });
 
-        const content = data.movies || data.series || data.channels || [];
-        contentCache[cacheKey] = content;
-        renderContent(content, section);
+    try {
+        await pager.next();
         showContent(categoryName, section);
+        pager.observe(contentMore);
     } catch (error) {
         console.error('Error loading content:', error);
         showError(`Failed to load content: ${error.message}`);
@@ -108,7 +115,7 @@ function renderCategories(categories, section) {
         const card = document.createElement('div');
         card.className = 'category-card';
         card.style.setProperty('--index', i);
-        card.onclick = () => loadContent(section, cat.category_id, cat.category_name);
+        card.onclick = () => loadContent(section, cat);
         card.innerHTML = `<div class="category-icon">${getCategoryIcon(cat.category_name)}</div><div class="category-name">${cat.category_name}</div>`;
         categoriesGrid.appendChild(card);
     });
@@ -116,24 +123,31 @@ function renderCategories(categories, section) {
 }
 
 function renderContent(items, section) {
-    contentGrid.innerHTML = '';
-    contentGrid.className = section === 'live' ? 'channels-grid' : 'content-grid';
+    const showSources = (providersCache[section] || []).length > 1;
 
     items.forEach((item, i) => {
         const card = document.createElement('div');
         card.className = section === 'live' ? 'channel-card' : 'content-card';
+        // Stagger relative to the page so appended pages animate in promptly
         card.style.setProperty('--index', i);
 
         if (section === 'live') {
             card.onclick = () => playLive(item);
-            card.innerHTML = `<div class="channel-poster"><img src="${item.icon}" alt="${item.name}" loading="lazy" onerror="this.parentElement.innerHTML='<div class=\\'poster-placeholder\\'>📡</div>'"><div class="live-badge">LIVE</div></div><div class="channel-info"><div class="channel-name">${item.name}</div></div>`;
+            card.innerHTML = `<div class="channel-poster"><img src="${item.icon}" alt="${item.name}" loading="lazy" onerror="this.parentElement.innerHTML='<div class=\\'poster-placeholder\\'>📡</div>'"><div class="live-badge">LIVE</div></div><div class="channel-info"><div class="channel-name">${item.name}</div>${showSources ? `<span class="source-badge">${item.source}</span>` : ''}</div>`;
         } else {
-            card.onclick = () => section === 'series' ? viewSeries(item) : playMovie(item);
-            card.innerHTML = `<div class="content-poster"><img src="${item.icon}" alt="${item.name}" loading="lazy" onerror="this.parentElement.innerHTML='<div class=\\'poster-placeholder\\'>🎬</div>'"></div><div class="content-info"><div class="content-name">${item.name}</div><div class="content-meta">${item.year !== 'N/A' ? `<span>${item.year}</span>` : ''}${item.rating !== 'N/A' ? `<span class="rating">★ ${item.rating}</span>` : ''}</div></div>`;
+            card.onclick = () => section === 'series' ? viewSeries(item) : viewMovie(item);
+            card.innerHTML = `<div class="content-poster"><img src="${item.icon}" alt="${item.name}" loading="lazy" onerror="this.parentElement.innerHTML='<div class=\\'poster-placeholder\\'>🎬</div>'"></div><div class="content-info"><div class="content-name">${item.name}</div><div class="content-meta">${item.year !== 'N/A' ? `<span>${item.year}</span>` : ''}${item.rating !== 'N/A' ? `<span class="rating">★ ${item.rating}</span>` : ''}${showSources ? `<span class="source-badge">${item.source}</span>` : ''}</div></div>`;
         }
+
+        // The heart sits on the card itself so a broken poster (which rewrites the poster box) keeps it
+        const type = section === 'live' ? 'live' : section === 'series' ? 'series' : 'movie';
+        card.insertAdjacentHTML('afterbegin', Favorites.button(type, item));
+        card.querySelector('.fav-btn').addEventListener('click', event => {
+            event.stopPropagation();
+            Favorites.toggle(type, item);
+        });
         contentGrid.appendChild(card);
     });
-    contentCount.textContent = items.length;
 }
 
 function getCategoryIcon(name) {
@@ -144,22 +158,24 @@ function getCategoryIcon(name) {
     return '🎬';
 }
 
-function playMovie(movie) {
+function viewMovie(movie) {
     sessionStorage.setItem('currentMovie', JSON.stringify(movie));
-    window.location.href = `/player?id=${movie.id}&ext=${movie.extension}&type=movie`;
+    window.location.href = `/movie?id=${movie.id}&provider=${encodeURIComponent(movie.provider)}`;
 }
 
 function viewSeries(series) {
     sessionStorage.setItem('currentSeries', JSON.stringify(series));
-    window.location.href = `/series?id=${series.id}`;
+    window.location.href = `/series?id=${series.id}&provider=${encodeURIComponent(series.provider)}`;
 }
 
 function playLive(channel) {
     sessionStorage.setItem('currentChannel', JSON.stringify(channel));
-    window.location.href = `/player?id=${channel.id}&type=live`;
+    window.location.href = `/player?id=${channel.id}&type=live&provider=${encodeURIComponent(channel.provider)}`;
 }
 
 function backToCategories() {
+    if (pager) pager.destroy();
+    pager = null;
     if (currentSection) {
         showCategories(currentSection);
     } else {
@@ -216,7 +232,7 @@ function showContent(categoryName, section) {
 
 function retryLoad() {
     if (currentCategory) {
-        loadContent(currentCategory.section, currentCategory.id, currentCategory.name);
+        loadContent(currentCategory.section, currentCategory.category);
     } else if (currentSection) {
         loadCategories(currentSection);
     } else {
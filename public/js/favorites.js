@@ -0,0 +1,125 @@
+// ==========================================
+// IPTV FAVORITES
+// Heart toggles on cards and the per-user "My List" kept by /api/favorites
+// ==========================================
+
+(function () {
+    'use strict';
+
+    const API = window.location.origin;
+    const FIELDS = ['name', 'icon', 'rating', 'year', 'plot', 'extension', 'epgChannelId', 'archive', 'archiveDays'];
+
+    const entries = new Map();
+    let loading = null;
+
+    function keyOf(type, item) {
+        return `${type}:${item.provider || ''}:${item.id}`;
+    }
+
+    function escapeAttr(str) {
+        return String(str ?? '').replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+    }
+
+    // Buttons rendered before the list arrived (or toggled elsewhere) are brought in line here
+    function syncButtons(key) {
+        const selector = key ? `.fav-btn[data-fav-key="${CSS.escape(key)}"]` : '.fav-btn[data-fav-key]';
+        document.querySelectorAll(selector).forEach(button => {
+            const active = entries.has(button.dataset.favKey);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+            button.title = active ? 'Remove from My List' : 'Add to My List';
+        });
+    }
+
+    function load() {
+        if (!loading) {
+            loading = fetch(`${API}/api/favorites`)
+                .then(res => res.json())
+                .then(data => {
+                    if (!data.success) throw new Error(data.message || 'Failed to load favorites');
+                    (data.favorites || []).forEach(entry => entries.set(keyOf(entry.type, entry), entry));
+                    syncButtons();
+                })
+                .catch(() => {
+                    // Hearts stay empty; the next load() tries again
+                    loading = null;
+                });
+        }
+        return loading;
+    }
+
+    function has(type, item) {
+        return Boolean(item) && entries.has(keyOf(type, item));
+    }
+
+    // Newest first, shaped like catalog items so the page grids can render them directly
+    function list(type) {
+        return [...entries.values()]
+            .filter(entry => entry.type === type)
+            .sort((a, b) => b.addedAt - a.addedAt);
+    }
+
+    // Optimistic: the heart flips at once and flips back if the server refuses
+    async function toggle(type, item) {
+        if (!item || item.id === undefined) return false;
+
+        const key = keyOf(type, item);
+        const previous = entries.get(key);
+
+        if (previous) entries.delete(key);
+        else entries.set(key, { ...item, type, addedAt: Date.now() });
+        syncButtons(key);
+
+        try {
+            let res;
+            if (previous) {
+                const query = item.provider ? `?provider=${encodeURIComponent(item.provider)}` : '';
+                res = await fetch(`${API}/api/favorites/${type}/${encodeURIComponent(item.id)}${query}`, { method: 'DELETE' });
+            } else {
+                const body = { type, id: item.id, provider: item.provider };
+                FIELDS.forEach(field => {
+                    if (item[field] !== undefined && item[field] !== null) body[field] = item[field];
+                });
+                res = await fetch(`${API}/api/favorites`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+            }
+
+            const data = await res.json();
+            if (!data.success) throw new Error(data.message || 'Failed to update My List');
+            if (data.favorite) entries.set(key, data.favorite);
+        } catch (e) {
+            if (previous) entries.set(key, previous);
+            else entries.delete(key);
+            syncButtons(key);
+        }
+
+        return entries.has(key);
+    }
+
+    // Heart markup for a card; `index` lets bind() find the item behind it
+    function button(type, item, index) {
+        const active = has(type, item);
+        return `<button type="button" class="fav-btn${active ? ' active' : ''}" data-fav-key="${escapeAttr(keyOf(type, item))}"` +
+            `${index !== undefined ? ` data-fav-index="${index}"` : ''} aria-pressed="${active}"` +
+            ` title="${active ? 'Remove from My List' : 'Add to My List'}" aria-label="My List">♥</button>`;
+    }
+
+    // Cards open on click, so hearts are handled in the capture phase before the card sees the event
+    function bind(grid, type, getItem) {
+        if (!grid) return;
+
+        grid.addEventListener('click', event => {
+            const target = event.target.closest('.fav-btn[data-fav-index]');
+            if (!target || !grid.contains(target)) return;
+
+            event.stopPropagation();
+            event.preventDefault();
+            toggle(type, getItem(Number(target.dataset.favIndex)));
+        }, true);
+    }
+
+    window.Favorites = { load, has, list, toggle, button, bind };
+})();
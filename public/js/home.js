@@ -0,0 +1,108 @@
+'use strict';
+
+// ==========================================
+// IPTV HOME - Continue Watching and subscription status
+// ==========================================
+
+const API = window.location.origin;
+
+let recent = [];
+
+const continueSection = document.getElementById('continue-section');
+const continueGrid = document.getElementById('continue-grid');
+const accountBanner = document.getElementById('account-banner');
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadRecent();
+    loadAccountStatus();
+});
+
+async function loadRecent() {
+    try {
+        const res = await fetch(`${API}/api/history?inProgress=1&limit=12`);
+        const data = await res.json();
+        if (!data.success) return;
+
+        recent = (data.history || []).filter(entry => entry.type === 'movie' || entry.type === 'series');
+        if (recent.length === 0) return;
+
+        renderRecent();
+        continueSection.hidden = false;
+    } catch (e) {
+        // The row is optional; the welcome screen works without it
+    }
+}
+
+function renderRecent() {
+    continueGrid.innerHTML = recent.map((entry, index) => {
+        const progress = entry.duration ? Math.min(entry.position / entry.duration, 1) * 100 : 0;
+        const subtitle = entry.type === 'series' && entry.season ? `S${entry.season}E${entry.episode}` : 'Movie';
+
+        return `
+            <div class="content-card" onclick="resumeEntry(${index})">
+                <div class="content-poster">
+                    <img src="${escapeHtml(entry.icon || '/placeholder.jpg')}" alt="${escapeHtml(entry.name)}" loading="lazy" onerror="this.onerror=null;this.src='/placeholder.jpg'">
+                    <div class="watch-progress"><div class="watch-progress-bar" style="width:${progress}%"></div></div>
+                </div>
+                <div class="content-info">
+                    <div class="content-name">${escapeHtml(entry.name || 'Untitled')}</div>
+                    <div class="content-meta"><span>${subtitle}</span></div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Expired, disabled or soon-expiring provider accounts; nothing is shown while all is well
+async function loadAccountStatus() {
+    try {
+        const res = await fetch(`${API}/api/account`);
+        const data = await res.json();
+        if (!data.success) return;
+
+        const accounts = data.accounts || [];
+        const alerts = accounts.filter(entry => entry.alert);
+        if (alerts.length === 0) return;
+
+        accountBanner.innerHTML = alerts.map(entry => {
+            const expiry = entry.account.expiresAt ? ` (${new Date(entry.account.expiresAt).toLocaleDateString()})` : '';
+            const prefix = accounts.length > 1 ? `<strong>${escapeHtml(entry.provider.name)}:</strong> ` : '';
+            return `<p>${prefix}${escapeHtml(entry.alert.message)}${escapeHtml(expiry)}</p>`;
+        }).join('');
+        accountBanner.classList.toggle('error', alerts.some(entry => entry.alert.level === 'error'));
+        accountBanner.hidden = false;
+    } catch (e) {
+        // The banner is informational; the rest of the page does not depend on it
+    }
+}
+
+// The player reads its title and artwork from sessionStorage, then offers to resume
+function resumeEntry(index) {
+    const entry = recent[index];
+    if (!entry) return;
+
+    const content = { id: entry.id, name: entry.name, icon: entry.icon, provider: entry.provider };
+
+    if (entry.type === 'series') {
+        sessionStorage.setItem('currentEpisode', JSON.stringify({
+            ...content, season: entry.season, episode: entry.episode, seriesId: entry.seriesId
+        }));
+    } else {
+        sessionStorage.setItem('currentMovie', JSON.stringify(content));
+    }
+
+    const params = new URLSearchParams({
+        id: entry.id,
+        ext: entry.extension || 'mp4',
+        type: entry.type,
+        provider: entry.provider || ''
+    });
+    window.location.href = `/player?${params}`;
+}
+
+function escapeHtml(str) {
+    if (!str) return '';
+    return String(str).replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+}
+
+window.resumeEntry = resumeEntry;
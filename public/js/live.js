@@ -12,6 +12,15 @@ let categories = [];
 let channels = [];
 let currentCategory = null;
 let isLoading = false;
+let showSources = false;
+let pager = null;
+let epgObserver = null;
+let epgQueue = [];
+let epgActive = 0;
+let epgTimer = null;
+
+const EPG_CONCURRENCY = 4;
+const EPG_REFRESH_MS = 60000;
 
 // DOM Elements
 let elements = {
@@ -22,6 +31,7 @@ let elements = {
     categoriesGrid: null,
     channelsSection: null,
     channelsGrid: null,
+    channelsMore: null,
     categoryTitle: null,
     backBtn: null
 };
@@ -33,6 +43,7 @@ let elements = {
 document.addEventListener('DOMContentLoaded', () => {
     cacheElements();
     setupEventListeners();
+    Favorites.load();
     loadCategories();
 });
 
@@ -45,6 +56,7 @@ function cacheElements() {
         categoriesGrid: document.getElementById('categories-grid'),
         channelsSection: document.getElementById('channels-section'),
         channelsGrid: document.getElementById('channels-grid'),
+        channelsMore: document.getElementById('channels-more'),
         categoryTitle: document.getElementById('category-title'),
         backBtn: document.getElementById('back-btn')
     };
@@ -54,6 +66,8 @@ function setupEventListeners() {
     if (elements.backBtn) {
         elements.backBtn.addEventListener('click', showCategories);
     }
+
+    Favorites.bind(elements.channelsGrid, 'live', index => channels[index]);
 }
 
 // ==========================================
@@ -161,6 +175,7 @@ async function loadCategories() {
         }
 
         categories = Array.isArray(data.categories) ? data.categories : [];
+        showSources = Array.isArray(data.providers) && data.providers.length > 1;
 
         if (categories.length === 0) {
             throw new Error('No categories available');
@@ -188,14 +203,19 @@ async function loadCategories() {
 function renderCategories() {
     if (!elements.categoriesGrid) return;
 
-    const html = categories.map(cat => {
-        const id = sanitizeId(cat.category_id);
-        const name = escapeHtml(cat.category_name || 'Unknown');
+    // Pseudo-category listing the user's saved channels ahead of the provider's own
+    const favorites = `
+        <div class="category-card my-list-card" onclick="showFavoriteChannels()">
+            <div class="category-icon">❤️</div>
+            <div class="category-name">Favorite channels</div>
+        </div>
+    `;
 
-        if (!id) return '';
+    const html = favorites + categories.map((cat, index) => {
+        const name = escapeHtml(cat.category_name || 'Unknown');
 
         return `
-            <div class="category-card" onclick="selectCategory('${id}', '${name.replace(/'/g, "\\'")}')">
+            <div class="category-card" onclick="selectCategory(${index})">
                 <div class="category-icon">📺</div>
                 <div class="category-name">${name}</div>
             </div>
@@ -209,37 +229,28 @@ function renderCategories() {
 // CHANNELS
 // ==========================================
 
-async function selectCategory(id, name) {
-    const cleanId = sanitizeId(id);
-    if (!cleanId || isLoading) return;
+// Channels arrive a page at a time as the grid scrolls; merged categories list all sources in one request
+async function selectCategory(index) {
+    const category = categories[index];
+    if (!category || isLoading) return;
 
     isLoading = true;
-    currentCategory = { id: cleanId, name: name || 'Unknown' };
+    currentCategory = { index, name: category.category_name || 'Unknown' };
 
     showLoading();
+    resetPager();
 
-    try {
-        const data = await safeFetch(`${API}/api/live/category/${cleanId}`);
+    pager = createCategoryPager({ section: 'live', key: 'channels', category, onPage: appendChannels });
 
-        if (!data.success) {
-            throw new Error('Failed to load channels');
-        }
-
-        channels = Array.isArray(data.channels) ? data.channels : [];
+    try {
+        const data = await pager.next();
 
-        if (channels.length === 0) {
+        if (!data || data.total === 0) {
             throw new Error('No channels in this category');
         }
 
-        // Validate channel data
-        channels = channels.filter(ch => ch && ch.id !== undefined);
-
-        if (channels.length === 0) {
-            throw new Error('No valid channels found');
-        }
-
-        renderChannels();
         showChannelsSection(currentCategory.name);
+        if (elements.channelsMore) pager.observe(elements.channelsMore);
 
     } catch (error) {
         showError(error.message || 'Failed to load channels');
@@ -248,52 +259,207 @@ async function selectCategory(id, name) {
     }
 }
 
-function renderChannels() {
+async function showFavoriteChannels() {
+    if (isLoading) return;
+
+    currentCategory = { index: null, name: 'Favorite channels', favorites: true };
+    showLoading();
+    resetPager();
+    await Favorites.load();
+
+    appendChannels(Favorites.list('live'), 0);
+    if (channels.length === 0) {
+        setHtml(elements.channelsGrid, '<p class="empty-list">Tap ♥ on any channel to keep it here</p>');
+    }
+    showChannelsSection(currentCategory.name);
+}
+
+function resetPager() {
+    if (pager) pager.destroy();
+    pager = null;
+    resetEpg();
+    channels = [];
+    setHtml(elements.channelsGrid, '');
+}
+
+function appendChannels(items, offset) {
+    channels = channels.concat(items);
+    renderChannels(items, offset);
+}
+
+function renderChannels(items, offset) {
     if (!elements.channelsGrid) return;
 
-    const html = channels.map(ch => {
-        const id = ch.id;
+    const html = items.map((ch, i) => {
+        // Entries without an id keep their slot so indexes stay aligned with `channels`
+        if (!ch || ch.id === undefined) return '';
+
+        const index = offset + i;
         const name = escapeHtml(ch.name || 'Unknown Channel');
         const icon = sanitizeUrl(ch.icon);
-
-        if (id === undefined || id === null) return '';
+        const source = showSources && ch.source ? `<span class="source-badge">${escapeHtml(ch.source)}</span>` : '';
+        // Channels without an EPG id have no guide data; skip the request entirely
+        const epg = ch.epgChannelId ? `<div class="channel-epg" data-index="${index}"></div>` : '';
+        const archive = ch.archive ? `<div class="archive-badge" title="${Number(ch.archiveDays) || ''} day catch-up">⏪ Catch-up</div>` : '';
 
         return `
-            <div class="channel-card" onclick="playChannel(${Number(id)})">
+            <div class="channel-card" onclick="playChannel(${index})">
                 <div class="channel-poster">
                     <img src="${icon}" 
                          alt="${name}" 
                          onerror="this.onerror=null;this.src='/placeholder.jpg'"
                          loading="lazy">
                     <div class="live-badge">LIVE</div>
+                    ${archive}
+                    ${Favorites.button('live', ch, index)}
                 </div>
                 <div class="channel-info">
                     <div class="channel-name">${name}</div>
+                    ${source}
+                    ${epg}
                 </div>
             </div>
         `;
     }).join('');
 
-    setHtml(elements.channelsGrid, html);
+    elements.channelsGrid.insertAdjacentHTML('beforeend', html);
+    observeEpgSlots();
+}
+
+// ==========================================
+// EPG (NOW / NEXT)
+// ==========================================
+
+// Guide data is fetched only for cards that scroll into view, a few at a time
+function observeEpgSlots() {
+    if (!elements.channelsGrid) return;
+
+    if (!epgObserver && 'IntersectionObserver' in window) {
+        epgObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                epgObserver.unobserve(entry.target);
+                queueEpg(entry.target);
+            });
+        }, { rootMargin: '200px 0px' });
+    }
+
+    elements.channelsGrid.querySelectorAll('.channel-epg:not([data-state])').forEach(slot => {
+        slot.dataset.state = 'pending';
+        if (epgObserver) epgObserver.observe(slot);
+        else queueEpg(slot);
+    });
+
+    if (!epgTimer) epgTimer = setInterval(updateEpgProgress, EPG_REFRESH_MS);
+}
+
+function queueEpg(slot) {
+    epgQueue.push(slot);
+    drainEpgQueue();
+}
+
+function drainEpgQueue() {
+    while (epgActive < EPG_CONCURRENCY && epgQueue.length > 0) {
+        const slot = epgQueue.shift();
+        if (!slot.isConnected) continue;
+
+        epgActive++;
+        loadChannelEpg(slot).finally(() => {
+            epgActive--;
+            drainEpgQueue();
+        });
+    }
+}
+
+async function loadChannelEpg(slot) {
+    const channel = channels[Number(slot.dataset.index)];
+    const streamId = sanitizeId(channel && channel.id);
+    if (!streamId) return;
+
+    const provider = sanitizeId(channel.provider);
+    const base = provider ? `${API}/api/providers/${provider}` : `${API}/api`;
+
+    try {
+        const data = await safeFetch(`${base}/live/${streamId}/epg?limit=2`);
+        if (!data.success || !slot.isConnected) return;
+        renderEpg(slot, data.now, data.next);
+    } catch (error) {
+        // Guide data is optional; the card simply stays without it
+    }
+}
+
+function formatTime(seconds) {
+    return new Date(seconds * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function epgProgress(start, end) {
+    const now = Date.now() / 1000;
+    return Math.min(Math.max((now - start) / (end - start), 0), 1) * 100;
+}
+
+function renderEpg(slot, now, next) {
+    if (!now && !next) return;
+
+    slot.dataset.state = 'loaded';
+    slot.innerHTML = `
+        ${now ? `
+            <div class="epg-now" title="${escapeHtml(now.description)}">
+                <span class="epg-label">Now</span>
+                <span class="epg-title">${escapeHtml(now.title)}</span>
+            </div>
+            <div class="epg-progress"><div class="epg-progress-bar" data-start="${Number(now.start)}" data-end="${Number(now.end)}" style="width:${epgProgress(now.start, now.end)}%"></div></div>
+        ` : ''}
+        ${next ? `
+            <div class="epg-next">
+                <span class="epg-label">${formatTime(next.start)}</span>
+                <span class="epg-title">${escapeHtml(next.title)}</span>
+            </div>
+        ` : ''}
+    `;
+}
+
+function updateEpgProgress() {
+    if (!elements.channelsGrid) return;
+
+    elements.channelsGrid.querySelectorAll('.epg-progress-bar').forEach(bar => {
+        bar.style.width = `${epgProgress(Number(bar.dataset.start), Number(bar.dataset.end))}%`;
+    });
+}
+
+function resetEpg() {
+    if (epgObserver) epgObserver.disconnect();
+    epgObserver = null;
+    epgQueue = [];
+    if (epgTimer) clearInterval(epgTimer);
+    epgTimer = null;
 }
 
 // ==========================================
 // PLAYBACK
 // ==========================================
 
-function playChannel(id) {
-    const numericId = Number(id);
+function playChannel(index) {
+    const channel = channels[index];
+    const numericId = Number(channel && channel.id);
 
-    if (isNaN(numericId) || numericId <= 0) {
+    if (!channel || isNaN(numericId) || numericId <= 0) {
         showError('Invalid channel');
         return;
     }
 
-    // Direct stream via Backend Redirect (Handles AUTH & HTTPS->HTTP)
-    const streamUrl = `${API}/stream/live/${numericId}`;
+    const provider = sanitizeId(channel.provider) || '';
 
-    // Open in new tab to bypass Vercel/Browser Mixed Content restrictions
-    window.open(streamUrl, '_blank');
+    sessionStorage.setItem('currentChannel', JSON.stringify({
+        id: channel.id,
+        name: channel.name || 'Unknown Channel',
+        icon: channel.icon,
+        provider,
+        archive: Boolean(channel.archive),
+        archiveDays: Number(channel.archiveDays) || 0
+    }));
+
+    // The backend proxies the HLS playlist, so the stream plays in-app over our own origin
+    window.location.href = `/player?id=${numericId}&type=live&provider=${provider}`;
 }
 
 // ==========================================
@@ -332,7 +498,7 @@ function showChannelsSection(name) {
 
 function showCategories() {
     currentCategory = null;
-    channels = [];
+    resetPager();
     setDisplay(elements.channelsSection, 'none');
     setDisplay(elements.categoriesSection, 'block');
 }
@@ -342,8 +508,10 @@ function showCategories() {
 // ==========================================
 
 function retry() {
-    if (currentCategory && currentCategory.id) {
-        selectCategory(currentCategory.id, currentCategory.name);
+    if (currentCategory && currentCategory.favorites) {
+        showFavoriteChannels();
+    } else if (currentCategory) {
+        selectCategory(currentCategory.index);
     } else {
         loadCategories();
     }
@@ -354,5 +522,6 @@ function retry() {
 // ==========================================
 
 window.selectCategory = selectCategory;
+window.showFavoriteChannels = showFavoriteChannels;
 window.playChannel = playChannel;
 window.retry = retry;
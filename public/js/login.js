@@ -0,0 +1,64 @@
+'use strict';
+
+// ==========================================
+// IPTV LOGIN
+// ==========================================
+
+const API = window.location.origin;
+
+const form = document.getElementById('login-form');
+const usernameInput = document.getElementById('username');
+const passwordInput = document.getElementById('password');
+const loginError = document.getElementById('login-error');
+const loginBtn = document.getElementById('login-btn');
+
+// Only same-site paths are followed after sign-in (no //host or absolute URLs)
+function nextPath() {
+    const next = new URLSearchParams(window.location.search).get('next') || '/';
+    return next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\') ? next : '/';
+}
+
+async function checkExistingSession() {
+    try {
+        const res = await fetch(`${API}/api/auth/me`);
+        const data = await res.json();
+        if (data.success && (data.user || data.authEnabled === false)) window.location.replace(nextPath());
+    } catch (e) {
+        // Stay on the form
+    }
+}
+
+async function signIn(event) {
+    event.preventDefault();
+
+    const username = usernameInput.value.trim();
+    const password = passwordInput.value;
+
+    if (!username || !password) {
+        loginError.textContent = 'Enter your username and password';
+        return;
+    }
+
+    loginBtn.disabled = true;
+    loginError.textContent = '';
+
+    try {
+        const res = await fetch(`${API}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error || 'Sign-in failed');
+        window.location.replace(nextPath());
+    } catch (e) {
+        loginError.textContent = e.message;
+        passwordInput.value = '';
+        passwordInput.focus();
+    } finally {
+        loginBtn.disabled = false;
+    }
+}
+
+form.addEventListener('submit', signIn);
+checkExistingSession();
@@ -0,0 +1,259 @@
+'use strict';
+
+// ==========================================
+// IPTV MOVIE DETAIL - /movie?id=<vod_id>&provider=<provider>
+// ==========================================
+
+const API = window.location.origin;
+const RESUME_MIN_SECONDS = 30;
+
+const params = new URLSearchParams(window.location.search);
+const movieId = /^\d+$/.test(params.get('id') || '') ? params.get('id') : null;
+const providerId = (params.get('provider') || '').replace(/[^a-zA-Z0-9_-]/g, '');
+
+// Card-shaped movie for My List and the player hand-off
+let movie = null;
+let resumePosition = 0;
+
+const loading = document.getElementById('loading');
+const error = document.getElementById('error');
+const errorMsg = document.getElementById('error-msg');
+const movieSection = document.getElementById('movie-section');
+const backdrop = document.getElementById('movie-backdrop');
+const poster = document.getElementById('movie-poster');
+const title = document.getElementById('movie-title');
+const meta = document.getElementById('movie-meta');
+const plot = document.getElementById('movie-plot');
+const facts = document.getElementById('movie-facts');
+const playBtn = document.getElementById('play-btn');
+const resumeBtn = document.getElementById('resume-btn');
+const listBtn = document.getElementById('list-btn');
+
+document.addEventListener('DOMContentLoaded', loadMovie);
+playBtn.addEventListener('click', () => play(0));
+resumeBtn.addEventListener('click', () => play(resumePosition));
+listBtn.addEventListener('click', toggleList);
+
+async function loadMovie() {
+    if (!movieId) return showError('No movie selected');
+
+    showLoading();
+    const base = providerId ? `${API}/api/providers/${providerId}` : `${API}/api`;
+
+    try {
+        const [infoRes] = await Promise.all([fetch(`${base}/movie/${movieId}`), Favorites.load()]);
+        const data = await infoRes.json();
+        if (!data.success) throw new Error(data.error || 'Failed to load movie');
+
+        const info = data.movie?.info || {};
+        const movieData = data.movie?.movie_data || {};
+        if (!info.name && !movieData.name) throw new Error('Movie not found');
+
+        movie = toCard(info, movieData, data.provider || providerId);
+        renderMovie(info, movieData);
+        showMovieSection();
+        loadResume();
+    } catch (e) {
+        showError(e.message);
+    }
+}
+
+// Same shape as catalog items, with the catalog's sessionStorage copy filling gaps
+function toCard(info, movieData, provider) {
+    const stored = readStoredMovie();
+    return {
+        id: movieId,
+        provider,
+        name: info.name || movieData.name || stored.name || 'Unknown',
+        icon: info.movie_image || info.cover_big || stored.icon,
+        rating: info.rating || stored.rating,
+        year: (info.releasedate || info.release_date || '').slice(0, 4) || stored.year,
+        plot: info.plot || info.description,
+        extension: movieData.container_extension || stored.extension || 'mp4'
+    };
+}
+
+function readStoredMovie() {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem('currentMovie') || '{}');
+        return String(stored.id) === movieId ? stored : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// ==========================================
+// RENDERING
+// ==========================================
+
+function isSafeImage(url) {
+    return typeof url === 'string' && (/^https?:\/\//i.test(url) || url.startsWith('/'));
+}
+
+function formatRuntime(info) {
+    const seconds = Number(info.duration_secs) || 0;
+    if (!seconds) return info.duration || '';
+
+    const h = Math.floor(seconds / 3600);
+    const m = Math.round((seconds % 3600) / 60);
+    return h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
+
+function formatPosition(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function describeVideo(video) {
+    if (!video || !video.codec_name) return '';
+    const size = video.width && video.height ? ` ${video.width}×${video.height}` : '';
+    return `${String(video.codec_name).toUpperCase()}${size}`;
+}
+
+function describeAudio(audio) {
+    if (!audio || !audio.codec_name) return '';
+    const channels = audio.channels ? ` ${audio.channels}ch` : '';
+    return `${String(audio.codec_name).toUpperCase()}${channels}`;
+}
+
+function renderMovie(info, movieData) {
+    document.title = `${movie.name} - IPTV Platform`;
+    title.textContent = movie.name;
+    plot.textContent = movie.plot || '';
+
+    if (isSafeImage(movie.icon)) poster.src = movie.icon;
+    poster.alt = movie.name;
+
+    const backdrops = Array.isArray(info.backdrop_path) ? info.backdrop_path : [info.backdrop_path];
+    const backdropUrl = backdrops.find(isSafeImage);
+    if (backdropUrl) {
+        backdrop.style.backgroundImage = `url(${JSON.stringify(backdropUrl)})`;
+        backdrop.classList.add('visible');
+    }
+
+    const chips = [
+        movie.year,
+        formatRuntime(info),
+        movie.rating && movie.rating !== 'N/A' ? `★ ${movie.rating}` : ''
+    ].filter(Boolean);
+    meta.innerHTML = '';
+    chips.forEach(text => {
+        const chip = document.createElement('span');
+        chip.textContent = text;
+        meta.appendChild(chip);
+    });
+
+    const rows = [
+        ['Genre', info.genre],
+        ['Director', info.director],
+        ['Cast', info.cast || info.actors],
+        ['Released', info.releasedate || info.release_date],
+        ['Duration', info.duration],
+        ['Container', movieData.container_extension ? String(movieData.container_extension).toUpperCase() : ''],
+        ['Video', describeVideo(info.video)],
+        ['Audio', describeAudio(info.audio)]
+    ].filter(([, value]) => value);
+
+    facts.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        const detail = document.createElement('dd');
+        term.textContent = label;
+        detail.textContent = value;
+        facts.append(term, detail);
+    });
+
+    updateListButton();
+}
+
+// ==========================================
+// ACTIONS
+// ==========================================
+
+async function loadResume() {
+    try {
+        const query = movie.provider ? `?provider=${encodeURIComponent(movie.provider)}` : '';
+        const res = await fetch(`${API}/api/history/movie/${movieId}${query}`);
+        const data = await res.json();
+        const entry = data.success ? data.entry : null;
+
+        if (!entry || entry.completed || entry.position < RESUME_MIN_SECONDS) return;
+
+        resumePosition = entry.position;
+        resumeBtn.textContent = `▶ Resume from ${formatPosition(entry.position)}`;
+        resumeBtn.hidden = false;
+        playBtn.textContent = '↺ Play from start';
+        playBtn.classList.remove('primary');
+    } catch (e) {
+        // Without history the page simply offers Play
+    }
+}
+
+// `t` tells the player where to start, so it skips its own resume prompt
+function play(position) {
+    if (!movie) return;
+
+    sessionStorage.setItem('currentMovie', JSON.stringify({
+        id: movie.id,
+        name: movie.name,
+        year: movie.year || 'N/A',
+        rating: movie.rating || 'N/A',
+        icon: movie.icon,
+        provider: movie.provider
+    }));
+
+    const query = new URLSearchParams({
+        id: movie.id,
+        ext: movie.extension,
+        type: 'movie',
+        provider: movie.provider || '',
+        t: String(Math.floor(position))
+    });
+    window.location.href = `/player?${query}`;
+}
+
+async function toggleList() {
+    if (!movie) return;
+    listBtn.disabled = true;
+    await Favorites.toggle('movie', movie);
+    listBtn.disabled = false;
+    updateListButton();
+}
+
+function updateListButton() {
+    const saved = Favorites.has('movie', movie);
+    listBtn.textContent = saved ? '✓ In My List' : '+ My List';
+    listBtn.classList.toggle('active', saved);
+}
+
+// ==========================================
+// UI STATE
+// ==========================================
+
+function showLoading() {
+    loading.style.display = 'flex';
+    error.style.display = 'none';
+    movieSection.style.display = 'none';
+}
+
+function showMovieSection() {
+    loading.style.display = 'none';
+    error.style.display = 'none';
+    movieSection.style.display = 'block';
+}
+
+function showError(msg) {
+    errorMsg.textContent = msg;
+    loading.style.display = 'none';
+    movieSection.style.display = 'none';
+    error.style.display = 'flex';
+}
+
+function retry() {
+    loadMovie();
+}
+
+window.retry = retry;
@@ -2,6 +2,8 @@ const API = window.location.origin;
 let categories = [];
 let movies = [];
 let currentCategory = null;
+let showSources = false;
+let pager = null;
 
 const loading = document.getElementById('loading');
 const error = document.getElementById('error');
@@ -10,11 +12,20 @@ const categoriesSection = document.getElementById('categories-section');
 const categoriesGrid = document.getElementById('categories-grid');
 const moviesSection = document.getElementById('movies-section');
 const moviesGrid = document.getElementById('movies-grid');
+const moviesMore = document.getElementById('movies-more');
+const sortSelect = document.getElementById('sort-select');
 const categoryTitle = document.getElementById('category-title');
 const backBtn = document.getElementById('back-btn');
 
-document.addEventListener('DOMContentLoaded', loadCategories);
+document.addEventListener('DOMContentLoaded', () => {
+    Favorites.load();
+    loadCategories();
+});
 backBtn.addEventListener('click', showCategories);
+sortSelect.addEventListener('change', () => {
+    if (currentCategory !== null) selectCategory(currentCategory);
+});
+Favorites.bind(moviesGrid, 'movie', index => movies[index]);
 
 async function loadCategories() {
     showLoading();
@@ -23,6 +34,7 @@ async function loadCategories() {
         const data = await res.json();
         if (!data.success) throw new Error(data.message || 'Failed to load');
         categories = data.categories || [];
+        showSources = (data.providers || []).length > 1;
         if (categories.length === 0) throw new Error('No categories found');
         renderCategories();
         showCategoriesSection();
@@ -32,66 +44,107 @@ async function loadCategories() {
 }
 
 function renderCategories() {
-    categoriesGrid.innerHTML = categories.map(cat => `
-        <div class="category-card" onclick="selectCategory('${cat.category_id}', '${escapeHtml(cat.category_name)}')">
+    categoriesGrid.innerHTML = `
+        <div class="category-card my-list-card" onclick="showMyList()">
+            <div class="category-icon">❤️</div>
+            <div class="category-name">My List</div>
+        </div>
+    ` + categories.map((cat, index) => `
+        <div class="category-card" onclick="selectCategory(${index})">
             <div class="category-icon">🎬</div>
-            <div class="category-name">${cat.category_name}</div>
+            <div class="category-name">${escapeHtml(cat.category_name)}</div>
         </div>
     `).join('');
 }
 
-async function selectCategory(id, name) {
-    currentCategory = { id, name };
+// Pages arrive as the grid scrolls; a merged category is listed in one request across its sources
+async function selectCategory(index) {
+    const category = categories[index];
+    if (!category) return;
+
+    currentCategory = index;
     showLoading();
+    resetPager();
+    sortSelect.hidden = false;
+    pager = createCategoryPager({ section: 'movies', key: 'movies', category, sort: sortSelect.value, onPage: appendMovies });
     try {
-        const res = await fetch(`${API}/api/movies/category/${id}`);
-        const data = await res.json();
-        if (!data.success) throw new Error(data.message || 'Failed to load');
-        movies = data.movies || [];
-        if (movies.length === 0) throw new Error('No movies in this category');
-        renderMovies();
-        showMoviesSection(name);
+        const data = await pager.next();
+        if (!data || data.total === 0) throw new Error('No movies in this category');
+        showMoviesSection(category.category_name);
+        pager.observe(moviesMore);
     } catch (e) {
         showError(e.message);
     }
 }
 
-function renderMovies() {
-    moviesGrid.innerHTML = movies.map(m => `
-        <div class="content-card" onclick="playMovie(${m.id}, '${m.extension || 'mp4'}')">
+// Saved movies come from the favorites store, so the list is complete without paging
+async function showMyList() {
+    currentCategory = null;
+    showLoading();
+    resetPager();
+    await Favorites.load();
+
+    sortSelect.hidden = true;
+    appendMovies(Favorites.list('movie'), 0);
+    if (movies.length === 0) {
+        moviesGrid.innerHTML = '<p class="empty-list">Tap ♥ on any movie to add it to your list</p>';
+    }
+    showMoviesSection('My List');
+}
+
+function resetPager() {
+    if (pager) pager.destroy();
+    pager = null;
+    movies = [];
+    moviesGrid.innerHTML = '';
+}
+
+function appendMovies(items, offset) {
+    movies = movies.concat(items);
+    renderMovies(items, offset);
+}
+
+function renderMovies(items, offset) {
+    moviesGrid.insertAdjacentHTML('beforeend', items.map((m, i) => `
+        <div class="content-card" onclick="viewMovie(${offset + i})">
             <div class="content-poster">
                 <img src="${m.icon || '/placeholder.jpg'}" alt="${escapeHtml(m.name)}" onerror="this.src='/placeholder.jpg'">
+                ${Favorites.button('movie', m, offset + i)}
             </div>
             <div class="content-info">
                 <div class="content-name">${m.name}</div>
                 <div class="content-meta">
                     ${m.rating && m.rating !== 'N/A' ? `<span class="rating">★ ${m.rating}</span>` : ''}
+                    ${showSources && m.source ? `<span class="source-badge">${escapeHtml(m.source)}</span>` : ''}
                 </div>
             </div>
         </div>
-    `).join('');
+    `).join(''));
 }
 
-function playMovie(id, ext) {
-    const movie = movies.find(m => m.id === id);
-    if (movie) {
-        sessionStorage.setItem('currentMovie', JSON.stringify({
-            id: movie.id,
-            name: movie.name,
-            year: movie.year || 'N/A',
-            rating: movie.rating || 'N/A',
-            icon: movie.icon
-        }));
-    }
-    window.location.href = `/player?id=${id}&ext=${ext}&type=movie`;
+// The detail page shows the full info and offers Play / Resume
+function viewMovie(index) {
+    const movie = movies[index];
+    if (!movie) return;
+
+    sessionStorage.setItem('currentMovie', JSON.stringify({
+        id: movie.id,
+        name: movie.name,
+        year: movie.year || 'N/A',
+        rating: movie.rating || 'N/A',
+        icon: movie.icon,
+        provider: movie.provider
+    }));
+    window.location.href = `/movie?id=${movie.id}&provider=${encodeURIComponent(movie.provider || '')}`;
 }
 
 function escapeHtml(str) {
     if (!str) return '';
-    return str.replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+    return String(str).replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
 }
 
 function showCategories() {
+    resetPager();
     moviesSection.style.display = 'none';
     categoriesSection.style.display = 'block';
 }
@@ -124,10 +177,11 @@ function showError(msg) {
 }
 
 function retry() {
-    if (currentCategory) selectCategory(currentCategory.id, currentCategory.name);
+    if (currentCategory !== null) selectCategory(currentCategory);
     else loadCategories();
 }
 
 window.selectCategory = selectCategory;
-window.playMovie = playMovie;
+window.showMyList = showMyList;
+window.viewMovie = viewMovie;
 window.retry = retry;
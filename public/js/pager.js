@@ -0,0 +1,115 @@
+// ==========================================
+// IPTV CATEGORY PAGER
+// Loads category listings page by page and fetches more as the grid scrolls
+// ==========================================
+
+(function () {
+    'use strict';
+
+    const API = window.location.origin;
+    const PAGE_SIZE = 60;
+    const PREFETCH_MARGIN = 600;
+
+    // One request covers a merged category: ?sources=provider:category,...
+    function buildListUrl(section, category, page, sort) {
+        const sources = Array.isArray(category.sources) && category.sources.length > 0
+            ? category.sources
+            : [{ provider: category.provider, category_id: category.category_id }];
+
+        const params = new URLSearchParams({
+            sources: sources.map(src => `${src.provider}:${src.category_id}`).join(','),
+            page: String(page),
+            limit: String(PAGE_SIZE)
+        });
+        if (sort) params.set('sort', sort);
+
+        return `${API}/api/${section}/category/${encodeURIComponent(sources[0].category_id)}?${params}`;
+    }
+
+    // options: { section, key, category, sort, onPage(items, offset, data) }
+    function createCategoryPager(options) {
+        let page = 0;
+        let hasMore = true;
+        let pending = null;
+        let observer = null;
+        let sentinel = null;
+        let offset = 0;
+        let active = true;
+
+        async function fetchPage() {
+            const res = await fetch(buildListUrl(options.section, options.category, page + 1, options.sort));
+            const data = await res.json();
+            if (!active) return null;
+            if (!data.success) throw new Error(data.error || 'Failed to load');
+
+            const items = Array.isArray(data[options.key]) ? data[options.key] : [];
+            page = data.page;
+            hasMore = Boolean(data.hasMore);
+            options.onPage(items, offset, data);
+            offset += items.length;
+            return data;
+        }
+
+        // Loads the next page; concurrent calls share one request
+        function next() {
+            if (!hasMore) return Promise.resolve(null);
+            if (!pending) {
+                pending = fetchPage().finally(() => { pending = null; });
+            }
+            return pending;
+        }
+
+        function sentinelInView() {
+            // offsetParent is null while the grid's section is hidden
+            return sentinel && sentinel.offsetParent !== null &&
+                sentinel.getBoundingClientRect().top < window.innerHeight + PREFETCH_MARGIN;
+        }
+
+        // Keeps loading while the sentinel stays visible (short pages never trigger a new intersection)
+        async function fill() {
+            try {
+                while (hasMore && sentinelInView()) await next();
+                if (sentinel) sentinel.hidden = !hasMore;
+            } catch (e) {
+                if (!sentinel) return;
+                sentinel.textContent = 'Could not load more — tap to retry';
+                sentinel.classList.add('failed');
+            }
+        }
+
+        function observe(element) {
+            sentinel = element;
+            sentinel.hidden = !hasMore;
+            sentinel.textContent = 'Loading more…';
+            sentinel.classList.remove('failed');
+            sentinel.onclick = () => {
+                sentinel.textContent = 'Loading more…';
+                sentinel.classList.remove('failed');
+                fill();
+            };
+
+            if ('IntersectionObserver' in window) {
+                observer = new IntersectionObserver(entries => {
+                    if (entries.some(entry => entry.isIntersecting)) fill();
+                }, { rootMargin: `${PREFETCH_MARGIN}px 0px` });
+                observer.observe(sentinel);
+            }
+        }
+
+        function destroy() {
+            active = false;
+            hasMore = false;
+            if (observer) observer.disconnect();
+            if (sentinel) {
+                sentinel.hidden = true;
+                sentinel.onclick = null;
+            }
+            observer = null;
+            sentinel = null;
+        }
+
+        return { next, observe, destroy };
+    }
+
+    window.createCategoryPager = createCategoryPager;
+})();
@@ -12,6 +12,18 @@ const urlParams = new URLSearchParams(window.location.search);
 const contentId = sanitizeInput(urlParams.get('id'));
 const contentType = sanitizeInput(urlParams.get('type')) || 'movie';
 const movieExt = sanitizeExtension(urlParams.get('ext'));
+const providerId = sanitizeInput(urlParams.get('provider'));
+// Catch-up: ?type=live&start=<unix seconds>&duration=<minutes> plays a past programme from the archive
+const archiveStart = /^\d+$/.test(urlParams.get('start') || '') ? Number(urlParams.get('start')) : null;
+const archiveDuration = Math.max(parseInt(urlParams.get('duration')) || 0, 1);
+// ?t=<seconds> comes from an explicit Play/Resume choice, so no resume prompt is shown
+const startAt = /^\d+$/.test(urlParams.get('t') || '') ? Number(urlParams.get('t')) : null;
+
+// Provider-scoped stream routes; without a provider the server uses its default account
+const STREAM_BASE = providerId ? `${API_BASE}/stream/providers/${providerId}` : `${API_BASE}/stream`;
+
+// Identifies this page's claim on one of the provider's connection slots
+const viewerSession = window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
 
 // Player state
 let player = null;
@@ -19,6 +31,25 @@ let playerInitialized = false;
 let sourceSet = false;
 let playbackStarted = false;
 let retryCount = 0;
+let programmeTimer = null;
+let catchupProgrammes = [];
+let lastHistoryReport = 0;
+let episodeList = [];
+let episodeIndex = -1;
+let seriesName = '';
+let upNextTimer = null;
+let subtitleTracks = [];
+let subtitleOffset = 0;
+// While the ffmpeg fallback plays, the element's clock starts at `offset` seconds into the title
+let transcode = { active: false, offset: 0, duration: null };
+let transcodeInfo = null;
+
+const HISTORY_INTERVAL_MS = 15000;
+const RESUME_MIN_SECONDS = 30;
+const UP_NEXT_SECONDS = 10;
+const CATCHUP_LIMIT = 50;
+const SUBTITLE_OFFSET_STEP = 0.5;
+const SUBTITLE_SIZES = ['1.00', '1.25', '1.50', '2.00'];
 
 // DOM element references
 let elements = {
@@ -32,11 +63,33 @@ let elements = {
     rating: null,
     backBtn: null,
     backText: null,
-    logoText: null
+    logoText: null,
+    programme: null,
+    programmeTime: null,
+    programmeTitle: null,
+    programmeProgress: null,
+    programmeDescription: null,
+    programmeNext: null,
+    catchup: null,
+    catchupList: null,
+    episodeNav: null,
+    prevEpisode: null,
+    nextEpisode: null,
+    episodePickerBtn: null,
+    subtitlePanel: null,
+    subtitleTrack: null,
+    subtitleEarlier: null,
+    subtitleLater: null,
+    subtitleOffsetValue: null,
+    subtitleSize: null,
+    subtitleBackground: null,
+    subtitleUpload: null,
+    subtitleStatus: null
 };
 
 // Content modes
 const isLiveMode = contentType === 'live';
+const isArchiveMode = isLiveMode && archiveStart !== null;
 const isSeriesMode = contentType === 'series';
 
 // ==========================================
@@ -87,7 +140,28 @@ function cacheElements() {
         rating: getElement('movie-rating'),
         backBtn: getElement('back-btn'),
         backText: getElement('back-text'),
-        logoText: getElement('logo-text')
+        logoText: getElement('logo-text'),
+        programme: getElement('live-programme'),
+        programmeTime: getElement('programme-time'),
+        programmeTitle: getElement('programme-title'),
+        programmeProgress: getElement('programme-progress'),
+        programmeDescription: getElement('programme-description'),
+        programmeNext: getElement('programme-next'),
+        catchup: getElement('catchup'),
+        catchupList: getElement('catchup-list'),
+        episodeNav: getElement('episode-nav'),
+        prevEpisode: getElement('prev-episode'),
+        nextEpisode: getElement('next-episode'),
+        episodePickerBtn: getElement('episode-picker-btn'),
+        subtitlePanel: getElement('subtitle-panel'),
+        subtitleTrack: getElement('subtitle-track'),
+        subtitleEarlier: getElement('subtitle-earlier'),
+        subtitleLater: getElement('subtitle-later'),
+        subtitleOffsetValue: getElement('subtitle-offset-value'),
+        subtitleSize: getElement('subtitle-size'),
+        subtitleBackground: getElement('subtitle-background'),
+        subtitleUpload: getElement('subtitle-upload'),
+        subtitleStatus: getElement('subtitle-status')
     };
 }
 
@@ -181,7 +255,8 @@ function setupPlayer(videoElement) {
         setDisplay(elements.loading, 'none');
         setDisplay(elements.wrapper, 'block');
 
-        const options = isLiveMode ? getLiveOptions() : getVodOptions();
+        // Archive playlists are finite and seekable, so they get the VOD controls
+        const options = isLiveMode && !isArchiveMode ? getLiveOptions() : getVodOptions();
 
         // Dispose existing player if any
         disposePlayer();
@@ -193,7 +268,11 @@ function setupPlayer(videoElement) {
 
             if (!sourceSet) {
                 sourceSet = true;
-                p.src({ type: mimeType, src: streamUrl });
+                if (isLiveMode) {
+                    p.src({ type: mimeType, src: streamUrl });
+                } else {
+                    claimStreamSlot(p, () => setInitialSource(p, mimeType, streamUrl));
+                }
             }
 
             if (contentData) {
@@ -204,6 +283,10 @@ function setupPlayer(videoElement) {
 
             if (isLiveMode) {
                 startLivePlayback(p);
+            } else {
+                setupHistory(p, contentData);
+                setupSubtitles(p);
+                if (isSeriesMode) setupEpisodeNavigation(p, contentData);
             }
         });
 
@@ -272,6 +355,7 @@ function getVodOptions() {
             },
             nativeVideoTracks: false,
             nativeAudioTracks: false,
+            // Subtitles are drawn by video.js so the size/background settings and offsets apply
             nativeTextTracks: false
         }
     };
@@ -370,13 +454,18 @@ function setupPlayerEvents(p) {
         const error = p.error();
         if (!error) return;
 
+        if (!isLiveMode) {
+            handleVodError(p, error);
+            return;
+        }
+
         // Retry logic for live streams
-        if (isLiveMode && !hasRetried && retryCount < maxRetries && error.code === 4) {
+        if (isLiveMode && !isArchiveMode && !hasRetried && retryCount < maxRetries && error.code === 4) {
             hasRetried = true;
             retryCount++;
 
             setTimeout(() => {
-                const tsUrl = `${API_BASE}/stream/live/${contentId}`;
+                const tsUrl = `${STREAM_BASE}/live/${contentId}?format=m3u8`;
                 p.src({ type: 'application/x-mpegURL', src: tsUrl });
                 p.play().catch(() => { });
             }, 1000);
@@ -397,6 +486,26 @@ function setupPlayerEvents(p) {
     });
 }
 
+// A stream cut by a slot take-over looks like a network error, so the server is asked first;
+// otherwise an unsupported container or codec falls back to the server remux/transcode
+async function handleVodError(p, error) {
+    const position = p.currentTime() || 0;
+    const [slot, info] = await Promise.all([
+        getSlotState(),
+        !transcode.active && (error.code === 3 || error.code === 4) ? getTranscodeInfo() : null
+    ]);
+    if (p.isDisposed()) return;
+
+    if (slot && slot.state === 'taken_over') {
+        showError(`Playback stopped: ${slot.by} took over this stream slot`);
+    } else if (info && info.available) {
+        p.error(null);
+        playTranscoded(p, position, true);
+    } else {
+        showError(getErrorMessage(error.code));
+    }
+}
+
 function getErrorMessage(code) {
     const messages = {
         1: 'Playback aborted',
@@ -416,15 +525,20 @@ function getErrorMessage(code) {
 function buildStreamUrl() {
     if (!contentId) return null;
 
+    if (isArchiveMode) {
+        return `${STREAM_BASE}/timeshift/${contentId}?start=${archiveStart}&duration=${archiveDuration}`;
+    }
+
+    // Providers may default live channels to MPEG-TS, which the browser cannot play
     if (isLiveMode) {
-        return `${API_BASE}/stream/live/${contentId}`;
+        return `${STREAM_BASE}/live/${contentId}?format=m3u8`;
     }
 
     if (isSeriesMode) {
-        return `${API_BASE}/stream/series/${contentId}/${movieExt}`;
+        return `${STREAM_BASE}/series/${contentId}/${movieExt}?session=${viewerSession}`;
     }
 
-    return `${API_BASE}/stream/${contentId}?ext=${movieExt}`;
+    return `${STREAM_BASE}/${contentId}?ext=${movieExt}&session=${viewerSession}`;
 }
 
 function getVideoMimeType() {
@@ -437,6 +551,8 @@ function getVideoMimeType() {
             return 'application/x-mpegURL';
         case 'ts':
             return 'video/mp2t';
+        // Browsers sniff the real container; labelling MKV/AVI as MP4 lets them try, and if they
+        // cannot decode it the error handler switches to the transcode fallback
         case 'mkv':
         case 'mp4':
         case 'avi':
@@ -445,6 +561,165 @@ function getVideoMimeType() {
     }
 }
 
+// ==========================================
+// TRANSCODE FALLBACK
+// ==========================================
+
+// Maps times between the title and the restarted ffmpeg stream, so the seek bar, resume and
+// history all see the title's timeline; a seek restarts the stream at the new position
+videojs.use('*', player => ({
+    setSource(src, next) {
+        next(null, src);
+    },
+    duration(duration) {
+        return transcode.active && transcode.duration ? transcode.duration : duration;
+    },
+    currentTime(time) {
+        return transcode.active ? time + transcode.offset : time;
+    },
+    setCurrentTime(time) {
+        if (!transcode.active) return time;
+
+        // Changing the source from inside a tech call confuses video.js, so it happens next tick
+        setTimeout(() => {
+            if (!player.isDisposed()) playTranscoded(player, time, !player.paused());
+        }, 0);
+        return player.tech(true).currentTime();
+    }
+}));
+
+function transcodeUrl() {
+    return `${STREAM_BASE}/transcode/${isSeriesMode ? 'series' : 'movie'}/${contentId}`;
+}
+
+// Asked once per page; null when the server cannot be reached
+function getTranscodeInfo() {
+    if (!transcodeInfo) {
+        transcodeInfo = fetch(`${transcodeUrl()}/probe?ext=${movieExt}`)
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) return null;
+                transcode.duration = data.duration || null;
+                return data;
+            })
+            .catch(() => null);
+    }
+    return transcodeInfo;
+}
+
+// MKV/AVI often carry AC3/DTS audio, which browsers play silently instead of failing,
+// so when the server can convert those titles it is used from the start
+async function setInitialSource(p, mimeType, streamUrl) {
+    if (!isLiveMode && (movieExt === 'mkv' || movieExt === 'avi')) {
+        const info = await getTranscodeInfo();
+        if (p.isDisposed()) return;
+        if (info && info.available && !info.directPlay) return playTranscoded(p, 0, false);
+    }
+
+    p.src({ type: mimeType, src: streamUrl });
+}
+
+function playTranscoded(p, position, autoplay) {
+    const end = transcode.duration ? transcode.duration - 1 : Infinity;
+    transcode.active = true;
+    transcode.offset = Math.max(Math.floor(Math.min(position, end)), 0);
+
+    p.src({ type: 'video/mp4', src: `${transcodeUrl()}?ext=${movieExt}&start=${transcode.offset}&session=${viewerSession}` });
+    subtitleTracks.forEach(offsetTrack);
+    if (autoplay) p.play().catch(() => showPlayOverlay(p));
+}
+
+// ==========================================
+// STREAM SLOTS
+// ==========================================
+
+// The provider allows max_connections streams; when all are taken the viewer may take one over
+async function claimStreamSlot(p, start, takeover) {
+    try {
+        const content = getContentData() || {};
+        const response = await fetch(`${API_BASE}/api/streams/claim`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                session: viewerSession,
+                provider: providerId || undefined,
+                type: isSeriesMode ? 'series' : 'movie',
+                id: contentId,
+                name: content.name,
+                takeover
+            })
+        });
+        const data = await response.json();
+        if (p.isDisposed()) return;
+
+        if (data.code === 'slots_busy') return showSlotsBusy(p, start, data);
+        if (!data.success && response.status === 409) return showError(data.error);
+    } catch (e) {
+        // The stream route enforces the limit as well; start and let it decide
+    }
+
+    start();
+}
+
+function showSlotsBusy(p, start, data) {
+    if (!elements.wrapper) return;
+    document.querySelectorAll('.slots-overlay').forEach(el => el.remove());
+
+    const overlay = document.createElement('div');
+    overlay.className = 'play-overlay resume-overlay slots-overlay';
+    overlay.innerHTML = `
+        <div class="play-overlay-content">
+            <div class="slots-title"></div>
+            <p class="slots-hint">Taking over a slot stops that stream.</p>
+            <ul class="slots-list"></ul>
+            <button type="button" class="resume-btn secondary" data-action="retry">Try again</button>
+        </div>
+    `;
+    overlay.querySelector('.slots-title').textContent = data.error || 'All stream slots are busy';
+
+    const list = overlay.querySelector('.slots-list');
+    (data.sessions || []).forEach(session => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        const since = new Date(session.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        label.textContent = `${session.user} · ${session.name || `${session.type} ${session.contentId}`} · since ${since}`;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'resume-btn';
+        button.dataset.action = 'takeover';
+        button.dataset.session = session.id;
+        button.textContent = 'Take over';
+
+        item.append(label, button);
+        list.appendChild(item);
+    });
+
+    overlay.onclick = (event) => {
+        const { action, session } = event.target.dataset;
+        if (!action) return;
+
+        overlay.remove();
+        claimStreamSlot(p, start, action === 'takeover' ? session : undefined);
+    };
+
+    elements.wrapper.appendChild(overlay);
+}
+
+function getSlotState() {
+    return fetch(`${API_BASE}/api/streams/session/${encodeURIComponent(viewerSession)}`)
+        .then(response => response.json())
+        .then(data => (data.success ? data : null))
+        .catch(() => null);
+}
+
+// Frees the slot straight away instead of after the server's grace period
+function releaseStreamSlot() {
+    if (isLiveMode || !navigator.sendBeacon) return;
+    const body = JSON.stringify({ session: viewerSession });
+    navigator.sendBeacon(`${API_BASE}/api/streams/release`, new Blob([body], { type: 'text/plain' }));
+}
+
 // ==========================================
 // CONTENT DATA
 // ==========================================
@@ -482,7 +757,10 @@ function displayContentInfo(content) {
     setText(elements.title, content.name || content.title || 'Unknown');
 
     if (elements.year) {
-        if (isLiveMode) {
+        if (isArchiveMode) {
+            elements.year.textContent = 'CATCH-UP';
+            elements.year.style.cssText = 'display:inline;color:#f5c518;font-weight:700';
+        } else if (isLiveMode) {
             elements.year.textContent = 'LIVE';
             elements.year.style.cssText = 'display:inline;color:#e50914;font-weight:700';
         } else if (isSeriesMode && content.season) {
@@ -502,6 +780,658 @@ function displayContentInfo(content) {
     }
 
     setDisplay(elements.info, 'block');
+
+    if (isArchiveMode) {
+        showArchiveProgramme();
+    } else if (isLiveMode) {
+        loadLiveProgramme();
+    }
+
+    if (isLiveMode && (content.archive || isArchiveMode)) {
+        loadCatchup(content);
+    }
+}
+
+// ==========================================
+// LIVE PROGRAMME (EPG)
+// ==========================================
+
+function formatClock(seconds) {
+    return new Date(seconds * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Shows the current programme and reloads when it ends
+async function loadLiveProgramme() {
+    clearTimeout(programmeTimer);
+
+    const base = providerId ? `${API_BASE}/api/providers/${providerId}` : `${API_BASE}/api`;
+
+    try {
+        const response = await fetch(`${base}/live/${contentId}/epg?limit=2`);
+        const data = await response.json();
+
+        if (!data.success || !data.now) {
+            setDisplay(elements.programme, 'none');
+            return;
+        }
+
+        const { now, next } = data;
+        setText(elements.programmeTime, `${formatClock(now.start)} – ${formatClock(now.end)}`);
+        setText(elements.programmeTitle, now.title);
+        setText(elements.programmeDescription, now.description);
+        setText(elements.programmeNext, next ? `Next at ${formatClock(next.start)}: ${next.title}` : '');
+        updateProgrammeProgress(now);
+        setDisplay(elements.programme, 'block');
+
+        const untilEnd = Math.max(now.end * 1000 - Date.now(), 0);
+        programmeTimer = setTimeout(loadLiveProgramme, Math.min(untilEnd + 5000, 60000));
+    } catch (e) {
+        // The guide is optional; keep playing without it
+        setDisplay(elements.programme, 'none');
+    }
+}
+
+function updateProgrammeProgress(programme) {
+    if (!elements.programmeProgress) return;
+    const elapsed = (Date.now() / 1000 - programme.start) / (programme.end - programme.start);
+    elements.programmeProgress.style.width = `${Math.min(Math.max(elapsed, 0), 1) * 100}%`;
+}
+
+// ==========================================
+// CATCH-UP
+// ==========================================
+
+function getStoredProgramme() {
+    try {
+        const programme = JSON.parse(sessionStorage.getItem('currentProgramme') || 'null');
+        return programme && programme.start === archiveStart ? programme : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function formatDay(seconds) {
+    const date = new Date(seconds * 1000);
+    const today = new Date();
+    const yesterday = new Date(today.getTime() - 86400000);
+
+    if (date.toDateString() === today.toDateString()) return 'Today';
+    if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+    return date.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+// The archived programme takes the place of the live now/next block
+function showArchiveProgramme() {
+    const programme = getStoredProgramme();
+    const end = archiveStart + archiveDuration * 60;
+
+    setText(elements.programmeTime, `${formatDay(archiveStart)} ${formatClock(archiveStart)} – ${formatClock(end)}`);
+    setText(elements.programmeTitle, programme ? programme.title : 'Archive');
+    setText(elements.programmeDescription, programme ? programme.description : '');
+    setText(elements.programmeNext, '');
+    setDisplay(elements.programmeProgress && elements.programmeProgress.parentElement, 'none');
+    setDisplay(elements.programme, 'block');
+}
+
+// Past programmes still inside the channel's archive window, newest first
+async function loadCatchup(content) {
+    const now = Date.now() / 1000;
+    const oldest = content.archiveDays ? now - content.archiveDays * 86400 : 0;
+
+    try {
+        const response = await fetch(`${apiBase()}/live/${contentId}/epg?full=1`);
+        const data = await response.json();
+        if (!data.success) return;
+
+        const programmes = data.programmes || [];
+        // Providers that flag archived programmes are trusted; otherwise the archive window decides
+        const flagged = programmes.some(programme => programme.hasArchive);
+
+        catchupProgrammes = programmes
+            .filter(programme => programme.end <= now && programme.start >= oldest && (!flagged || programme.hasArchive))
+            .sort((a, b) => b.start - a.start)
+            .slice(0, CATCHUP_LIMIT);
+
+        renderCatchup();
+    } catch (e) {
+        // Catch-up is optional; the live stream keeps playing
+    }
+}
+
+function renderCatchup() {
+    const { catchup, catchupList } = elements;
+    if (!catchup || !catchupList) return;
+    if (catchupProgrammes.length === 0 && !isArchiveMode) return;
+
+    catchupList.innerHTML = '';
+
+    if (isArchiveMode) {
+        const live = document.createElement('button');
+        live.type = 'button';
+        live.className = 'catchup-item live';
+        live.textContent = '● Back to live';
+        live.onclick = () => {
+            window.location.href = `/player?id=${contentId}&type=live&provider=${providerId || ''}`;
+        };
+        catchupList.appendChild(live);
+    }
+
+    catchupProgrammes.forEach((programme, index) => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = `catchup-item${programme.start === archiveStart ? ' current' : ''}`;
+
+        const time = document.createElement('span');
+        time.className = 'catchup-time';
+        time.textContent = `${formatDay(programme.start)} ${formatClock(programme.start)}`;
+
+        const title = document.createElement('span');
+        title.className = 'catchup-name';
+        title.textContent = programme.title;
+
+        item.append(time, title);
+        item.onclick = () => playArchive(index);
+        catchupList.appendChild(item);
+    });
+
+    setDisplay(catchup, 'block');
+}
+
+function playArchive(index) {
+    const programme = catchupProgrammes[index];
+    if (!programme) return;
+
+    sessionStorage.setItem('currentProgramme', JSON.stringify(programme));
+    const params = new URLSearchParams({
+        id: contentId,
+        type: 'live',
+        provider: providerId || '',
+        start: String(programme.start),
+        duration: String(Math.max(Math.ceil((programme.end - programme.start) / 60), 1))
+    });
+    window.location.href = `/player?${params}`;
+}
+
+// ==========================================
+// WATCH HISTORY & RESUME
+// ==========================================
+
+function formatPosition(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function historyQuery() {
+    return providerId ? `?provider=${encodeURIComponent(providerId)}` : '';
+}
+
+// Reports the position; `beacon` survives the page being unloaded
+function reportProgress(p, { beacon = false, completed = false } = {}) {
+    if (!p || isLiveMode) return;
+
+    const position = p.currentTime() || 0;
+    if (position < 1 && !completed) return;
+
+    const content = getContentData() || {};
+    const body = JSON.stringify({
+        type: isSeriesMode ? 'series' : 'movie',
+        id: contentId,
+        provider: providerId || undefined,
+        position,
+        duration: p.duration() || 0,
+        completed,
+        name: content.name,
+        icon: content.icon,
+        extension: movieExt,
+        seriesId: content.seriesId,
+        season: content.season,
+        episode: content.episode
+    });
+
+    lastHistoryReport = Date.now();
+
+    if (beacon && navigator.sendBeacon) {
+        navigator.sendBeacon(`${API_BASE}/api/history`, new Blob([body], { type: 'text/plain' }));
+        return;
+    }
+
+    fetch(`${API_BASE}/api/history`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+    }).catch(() => { });
+}
+
+function setupHistory(p, contentData) {
+    p.on('timeupdate', () => {
+        if (!p.paused() && Date.now() - lastHistoryReport >= HISTORY_INTERVAL_MS) reportProgress(p);
+    });
+    p.on('pause', () => {
+        if (!p.ended()) reportProgress(p);
+    });
+    p.on('ended', () => reportProgress(p, { completed: true }));
+
+    if (startAt === null) {
+        offerResume(p);
+    } else if (startAt > 0) {
+        seekWhenReady(p, startAt);
+    }
+}
+
+async function offerResume(p) {
+    try {
+        const type = isSeriesMode ? 'series' : 'movie';
+        const response = await fetch(`${API_BASE}/api/history/${type}/${contentId}${historyQuery()}`);
+        const data = await response.json();
+        const entry = data.success ? data.entry : null;
+
+        if (!entry || entry.completed || entry.position < RESUME_MIN_SECONDS) return;
+        if (entry.duration && entry.position > entry.duration - RESUME_MIN_SECONDS) return;
+        if (p.isDisposed() || p.currentTime() > 0) return;
+
+        showResumeOverlay(p, entry.position);
+    } catch (e) {
+        // No saved position; start from the beginning
+    }
+}
+
+function showResumeOverlay(p, position) {
+    if (!elements.wrapper || document.querySelector('.resume-overlay')) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'play-overlay resume-overlay';
+    overlay.innerHTML = `
+        <div class="play-overlay-content">
+            <button type="button" class="resume-btn" data-action="resume">▶ Resume from ${formatPosition(position)}</button>
+            <button type="button" class="resume-btn secondary" data-action="restart">Start over</button>
+        </div>
+    `;
+
+    overlay.onclick = (event) => {
+        const action = event.target.dataset.action;
+        if (!action) return;
+
+        overlay.remove();
+        if (action === 'resume') seekWhenReady(p, position);
+        p.play().catch(() => showPlayOverlay(p));
+    };
+
+    elements.wrapper.appendChild(overlay);
+}
+
+// Seeking before metadata loads is ignored by some browsers
+function seekWhenReady(p, position) {
+    if (p.readyState() >= 1) {
+        p.currentTime(position);
+    } else {
+        p.one('loadedmetadata', () => p.currentTime(position));
+    }
+}
+
+// ==========================================
+// SERIES EPISODE NAVIGATION
+// ==========================================
+
+function apiBase() {
+    return providerId ? `${API_BASE}/api/providers/${providerId}` : `${API_BASE}/api`;
+}
+
+// Seasons in numeric order, flattened so "next" crosses season boundaries
+function flattenEpisodes(episodes) {
+    return Object.keys(episodes || {})
+        .sort((a, b) => parseInt(a) - parseInt(b))
+        .flatMap(season => (episodes[season] || []).map(ep => ({
+            id: sanitizeInput(String(ep.id)),
+            ext: sanitizeExtension(ep.container_extension),
+            season: parseInt(season),
+            episode: parseInt(ep.episode_num),
+            title: ep.title || `Episode ${ep.episode_num}`
+        })))
+        .filter(ep => ep.id);
+}
+
+async function setupEpisodeNavigation(p, contentData) {
+    const seriesId = sanitizeInput(contentData && contentData.seriesId);
+    if (!seriesId) return;
+
+    try {
+        const response = await fetch(`${apiBase()}/series/${seriesId}/info`);
+        const data = await response.json();
+        if (!data.success || !data.data) return;
+
+        seriesName = data.data.info?.name || String(contentData.name || '').replace(/ - S\d+E\d+$/, '');
+        episodeList = flattenEpisodes(data.data.episodes);
+        episodeIndex = episodeList.findIndex(ep => ep.id === contentId);
+        if (episodeIndex === -1) return;
+
+        renderEpisodeNav();
+        p.on('ended', () => showUpNext(p));
+        p.on('play', cancelUpNext);
+    } catch (e) {
+        // Without the episode list the player still plays this episode
+    }
+}
+
+function renderEpisodeNav() {
+    const { episodeNav, prevEpisode, nextEpisode, episodePickerBtn } = elements;
+    if (!episodeNav) return;
+
+    const previous = episodeList[episodeIndex - 1];
+    const next = episodeList[episodeIndex + 1];
+
+    if (prevEpisode) {
+        prevEpisode.disabled = !previous;
+        prevEpisode.title = previous ? `S${previous.season}E${previous.episode} · ${previous.title}` : '';
+        prevEpisode.onclick = () => goToEpisode(episodeIndex - 1);
+    }
+    if (nextEpisode) {
+        nextEpisode.disabled = !next;
+        nextEpisode.title = next ? `S${next.season}E${next.episode} · ${next.title}` : '';
+        nextEpisode.onclick = () => goToEpisode(episodeIndex + 1);
+    }
+    if (episodePickerBtn) episodePickerBtn.onclick = showEpisodePicker;
+
+    setDisplay(episodeNav, 'flex');
+}
+
+// Each episode is its own player page, so history, resume and the back button keep working
+function goToEpisode(index) {
+    const ep = episodeList[index];
+    if (!ep) return;
+
+    const current = getContentData() || {};
+    sessionStorage.setItem('currentEpisode', JSON.stringify({
+        id: ep.id,
+        name: `${seriesName || 'Series'} - S${ep.season}E${ep.episode}`,
+        season: ep.season,
+        episode: ep.episode,
+        provider: providerId,
+        seriesId: current.seriesId,
+        icon: current.icon
+    }));
+
+    const params = new URLSearchParams({ id: ep.id, ext: ep.ext, type: 'series', provider: providerId || '' });
+    window.location.href = `/player?${params}`;
+}
+
+function showUpNext(p) {
+    const next = episodeList[episodeIndex + 1];
+    if (!next || !elements.wrapper || document.querySelector('.up-next-overlay')) return;
+
+    let remaining = UP_NEXT_SECONDS;
+    const overlay = document.createElement('div');
+    overlay.className = 'play-overlay resume-overlay up-next-overlay';
+    overlay.innerHTML = `
+        <div class="play-overlay-content">
+            <div class="up-next-label">Up next</div>
+            <div class="up-next-title"></div>
+            <div class="up-next-countdown">Playing in <span>${remaining}</span>s</div>
+            <button type="button" class="resume-btn" data-action="play">▶ Play now</button>
+            <button type="button" class="resume-btn secondary" data-action="cancel">Cancel</button>
+        </div>
+    `;
+    overlay.querySelector('.up-next-title').textContent = `S${next.season}E${next.episode} · ${next.title}`;
+
+    overlay.onclick = (event) => {
+        const action = event.target.dataset.action;
+        if (action === 'play') goToEpisode(episodeIndex + 1);
+        if (action === 'cancel') cancelUpNext();
+    };
+
+    const counter = overlay.querySelector('.up-next-countdown span');
+    upNextTimer = setInterval(() => {
+        remaining--;
+        counter.textContent = remaining;
+        if (remaining <= 0) {
+            clearInterval(upNextTimer);
+            goToEpisode(episodeIndex + 1);
+        }
+    }, 1000);
+
+    elements.wrapper.appendChild(overlay);
+}
+
+function cancelUpNext() {
+    clearInterval(upNextTimer);
+    upNextTimer = null;
+    document.querySelectorAll('.up-next-overlay').forEach(el => el.remove());
+}
+
+function showEpisodePicker() {
+    if (document.querySelector('.episode-picker')) return;
+
+    const seasons = [...new Set(episodeList.map(ep => ep.season))];
+    const current = episodeList[episodeIndex];
+
+    const picker = document.createElement('div');
+    picker.className = 'episode-picker';
+    picker.innerHTML = `
+        <div class="episode-picker-panel" role="dialog" aria-label="Episodes">
+            <div class="episode-picker-header">
+                <select class="episode-picker-season" aria-label="Season">
+                    ${seasons.map(season => `<option value="${season}">Season ${season}</option>`).join('')}
+                </select>
+                <button type="button" class="episode-picker-close" aria-label="Close">✕</button>
+            </div>
+            <div class="episode-picker-list"></div>
+        </div>
+    `;
+
+    const seasonSelect = picker.querySelector('.episode-picker-season');
+    const list = picker.querySelector('.episode-picker-list');
+
+    const renderSeason = (season) => {
+        list.innerHTML = '';
+        episodeList.forEach((ep, index) => {
+            if (ep.season !== season) return;
+
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `episode-picker-item${index === episodeIndex ? ' current' : ''}`;
+            item.textContent = `E${ep.episode} · ${ep.title}`;
+            item.onclick = () => goToEpisode(index);
+            list.appendChild(item);
+        });
+    };
+
+    seasonSelect.value = String(current.season);
+    seasonSelect.onchange = () => renderSeason(Number(seasonSelect.value));
+    renderSeason(current.season);
+
+    const close = () => picker.remove();
+    picker.querySelector('.episode-picker-close').onclick = close;
+    picker.onclick = (event) => {
+        if (event.target === picker) close();
+    };
+
+    document.body.appendChild(picker);
+    const active = list.querySelector('.current');
+    if (active) active.scrollIntoView({ block: 'center' });
+}
+
+// ==========================================
+// SUBTITLES
+// ==========================================
+
+function readPreference(key, fallback) {
+    try {
+        return localStorage.getItem(key) || fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function writePreference(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (e) {
+        // Private browsing: the choice just is not remembered
+    }
+}
+
+function subtitlesPath() {
+    return `${apiBase()}/subtitles/${isSeriesMode ? 'series' : 'movie'}/${contentId}`;
+}
+
+// "eng" and "en-US" both count as English when matching the remembered language
+function sameLanguage(a, b) {
+    if (!a || !b) return false;
+    return a === b || a.slice(0, 2) === b.slice(0, 2);
+}
+
+async function setupSubtitles(p) {
+    const { subtitlePanel, subtitleTrack, subtitleEarlier, subtitleLater, subtitleSize, subtitleBackground, subtitleUpload } = elements;
+    if (!subtitlePanel) return;
+
+    subtitleTrack.onchange = () => selectSubtitle(p, subtitleTrack.value, true);
+    subtitleEarlier.onclick = () => shiftSubtitles(-SUBTITLE_OFFSET_STEP);
+    subtitleLater.onclick = () => shiftSubtitles(SUBTITLE_OFFSET_STEP);
+    subtitleSize.onchange = () => applySubtitleStyle(p, true);
+    subtitleBackground.onchange = () => applySubtitleStyle(p, true);
+    subtitleUpload.onchange = () => uploadSubtitle(p, subtitleUpload.files[0]);
+
+    const style = readPreference('subtitleStyle', '').split('|');
+    if (SUBTITLE_SIZES.includes(style[0])) subtitleSize.value = style[0];
+    if (['1', '0.5', '0'].includes(style[1])) subtitleBackground.value = style[1];
+    applySubtitleStyle(p, false);
+
+    setDisplay(subtitlePanel, 'flex');
+    await loadSubtitleTracks(p);
+}
+
+async function loadSubtitleTracks(p, selectId) {
+    try {
+        const response = await fetch(subtitlesPath());
+        const data = await response.json();
+        if (!data.success || p.isDisposed()) return;
+
+        subtitleTracks.forEach(entry => p.removeRemoteTextTrack(entry.element));
+        subtitleTracks = (data.tracks || []).map(track => {
+            const element = p.addRemoteTextTrack({
+                kind: 'subtitles',
+                src: `${API_BASE}${track.src}`,
+                srclang: track.language || undefined,
+                label: track.label
+            }, false);
+            const entry = { ...track, element, offset: 0 };
+            // Cues only exist once the file has loaded, so the current offset is applied then
+            element.addEventListener('load', () => offsetTrack(entry));
+            return entry;
+        });
+
+        renderSubtitleMenu();
+
+        const preferred = readPreference('subtitleLanguage', 'off');
+        const match = selectId
+            ? subtitleTracks.find(track => track.id === selectId)
+            : subtitleTracks.find(track => sameLanguage(track.language, preferred));
+        selectSubtitle(p, match ? match.id : 'off', Boolean(selectId));
+    } catch (e) {
+        // Playback works without subtitles
+    }
+}
+
+function renderSubtitleMenu() {
+    const select = elements.subtitleTrack;
+    select.innerHTML = '<option value="off">Off</option>';
+
+    subtitleTracks.forEach(track => {
+        const option = document.createElement('option');
+        option.value = track.id;
+        option.textContent = track.source === 'upload' ? `${track.label} (uploaded)` : track.label;
+        select.appendChild(option);
+    });
+}
+
+// `remember` stores the language so the next title starts with it
+function selectSubtitle(p, trackId, remember) {
+    let selected = null;
+
+    subtitleTracks.forEach(entry => {
+        const showing = entry.id === trackId;
+        entry.element.track.mode = showing ? 'showing' : 'disabled';
+        if (showing) selected = entry;
+    });
+
+    elements.subtitleTrack.value = selected ? selected.id : 'off';
+    if (selected) offsetTrack(selected);
+    if (remember) writePreference('subtitleLanguage', selected ? selected.language || 'off' : 'off');
+}
+
+// Text tracks follow the element's clock, which restarts at the seek position while transcoding
+function cueShift() {
+    return subtitleOffset - (transcode.active ? transcode.offset : 0);
+}
+
+// Cues keep their file timing so repeated shifts never pile up clamping at zero
+function offsetTrack(entry) {
+    const cues = entry.element.track.cues;
+    const shift = cueShift();
+    if (!cues || cues.length === 0 || shift === entry.offset) return;
+
+    for (let i = 0; i < cues.length; i++) {
+        const cue = cues[i];
+        if (cue.originalStart === undefined) {
+            cue.originalStart = cue.startTime;
+            cue.originalEnd = cue.endTime;
+        }
+        cue.startTime = Math.max(cue.originalStart + shift, 0);
+        cue.endTime = Math.max(cue.originalEnd + shift, 0);
+    }
+    entry.offset = shift;
+}
+
+function shiftSubtitles(step) {
+    subtitleOffset = Math.round((subtitleOffset + step) * 10) / 10;
+    setText(elements.subtitleOffsetValue, `${subtitleOffset > 0 ? '+' : ''}${subtitleOffset.toFixed(1)}s`);
+    subtitleTracks.forEach(offsetTrack);
+}
+
+// Uses video.js' own caption settings so the styling applies to its text track display
+function applySubtitleStyle(p, remember) {
+    const fontPercent = elements.subtitleSize.value;
+    const backgroundOpacity = elements.subtitleBackground.value;
+
+    if (p.textTrackSettings) {
+        p.textTrackSettings.setValues({ fontPercent, backgroundOpacity, backgroundColor: '#000' });
+        p.textTrackSettings.updateDisplay();
+    }
+    if (remember) writePreference('subtitleStyle', `${fontPercent}|${backgroundOpacity}`);
+}
+
+// The file is sent as-is; the server converts SRT/ASS to WebVTT.
+// "movie.en.srt" style names carry the language, otherwise the remembered one is used.
+async function uploadSubtitle(p, file) {
+    if (!file) return;
+
+    const nameParts = file.name.replace(/\.[^.]+$/, '').split('.');
+    const guess = nameParts.length > 1 ? nameParts[nameParts.length - 1] : '';
+    const preferred = readPreference('subtitleLanguage', 'off');
+    const language = /^[a-z]{2,3}$/i.test(guess) ? guess.toLowerCase() : (preferred !== 'off' ? preferred : '');
+
+    const params = new URLSearchParams({ language, label: file.name.slice(0, 60) });
+    setText(elements.subtitleStatus, 'Uploading…');
+
+    try {
+        const response = await fetch(`${subtitlesPath()}?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+            body: await file.text()
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Upload failed');
+
+        await loadSubtitleTracks(p, data.track.id);
+        setText(elements.subtitleStatus, '');
+    } catch (e) {
+        setText(elements.subtitleStatus, `Upload failed: ${e.message}`);
+    } finally {
+        elements.subtitleUpload.value = '';
+    }
 }
 
 // ==========================================
@@ -527,6 +1457,8 @@ function retryPlayer() {
     sourceSet = false;
     playbackStarted = false;
     retryCount = 0;
+    transcode.active = false;
+    transcode.offset = 0;
 
     // Dispose existing player
     disposePlayer();
@@ -567,11 +1499,12 @@ function retryPlayer() {
 // CLEANUP
 // ==========================================
 
-window.addEventListener('beforeunload', () => {
-    disposePlayer();
-});
-
+// pagehide fires on every unload, including pages entering the back/forward cache
 window.addEventListener('pagehide', () => {
+    clearTimeout(programmeTimer);
+    clearInterval(upNextTimer);
+    reportProgress(player, { beacon: true });
+    releaseStreamSlot();
     disposePlayer();
 });
 
@@ -0,0 +1,146 @@
+'use strict';
+
+// ==========================================
+// IPTV GLOBAL SEARCH
+// Header search box shared by every section page
+// ==========================================
+
+// Wrapped so its names don't collide with the page scripts' globals
+(function () {
+    const API = window.location.origin;
+    const DEBOUNCE_MS = 300;
+    const GROUPS = [
+        { type: 'movies', title: 'Movies', icon: '🎬' },
+        { type: 'series', title: 'Series', icon: '📺' },
+        { type: 'live', title: 'Live TV', icon: '📡' }
+    ];
+
+    let input = null;
+    let panel = null;
+    let debounceTimer = null;
+    let activeController = null;
+    let results = { movies: [], series: [], live: [] };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        input = document.getElementById('search-input');
+        panel = document.getElementById('search-results');
+        if (!input || !panel) return;
+
+        input.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => runSearch(input.value), DEBOUNCE_MS);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') hidePanel();
+        });
+
+        input.addEventListener('focus', () => {
+            if (panel.innerHTML) panel.hidden = false;
+        });
+
+        panel.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-type]');
+            if (item) openResult(item.dataset.type, Number(item.dataset.index));
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.header-search')) hidePanel();
+        });
+    });
+
+    function escapeHtml(str) {
+        if (str === null || str === undefined) return '';
+        return String(str).replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+    }
+
+    async function runSearch(value) {
+        const query = value.trim();
+
+        if (activeController) activeController.abort();
+
+        if (query.length < 2) {
+            panel.innerHTML = '';
+            hidePanel();
+            return;
+        }
+
+        activeController = new AbortController();
+        showMessage('Searching...');
+
+        try {
+            const res = await fetch(`${API}/api/search?q=${encodeURIComponent(query)}`, { signal: activeController.signal });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.error || 'Search failed');
+
+            results = data.results || { movies: [], series: [], live: [] };
+            renderResults();
+        } catch (e) {
+            if (e.name !== 'AbortError') showMessage(e.message || 'Search failed');
+        }
+    }
+
+    function renderResults() {
+        const groups = GROUPS
+            .filter(group => (results[group.type] || []).length > 0)
+            .map(group => `
+                <div class="search-group">
+                    <div class="search-group-title">${group.icon} ${group.title}</div>
+                    ${results[group.type].map((item, index) => `
+                        <button type="button" class="search-item" data-type="${group.type}" data-index="${index}">
+                            <span class="search-item-name">${escapeHtml(item.name)}</span>
+                            ${item.year && item.year !== 'N/A' ? `<span class="search-item-meta">${escapeHtml(String(item.year).slice(0, 4))}</span>` : ''}
+                            ${item.source ? `<span class="source-badge">${escapeHtml(item.source)}</span>` : ''}
+                        </button>
+                    `).join('')}
+                </div>
+            `).join('');
+
+        if (!groups) {
+            showMessage('No results found');
+            return;
+        }
+
+        panel.innerHTML = groups;
+        panel.hidden = false;
+    }
+
+    function showMessage(message) {
+        panel.innerHTML = `<div class="search-message">${escapeHtml(message)}</div>`;
+        panel.hidden = false;
+    }
+
+    function hidePanel() {
+        if (panel) panel.hidden = true;
+    }
+
+    // Same sessionStorage hand-off the section pages use before opening a title
+    function openResult(type, index) {
+        const item = (results[type] || [])[index];
+        if (!item) return;
+
+        const provider = encodeURIComponent(item.provider || '');
+
+        if (type === 'movies') {
+            sessionStorage.setItem('currentMovie', JSON.stringify({
+                id: item.id,
+                name: item.name,
+                year: item.year || 'N/A',
+                rating: item.rating || 'N/A',
+                icon: item.icon,
+                provider: item.provider
+            }));
+            window.location.href = `/movie?id=${item.id}&provider=${provider}`;
+        } else if (type === 'series') {
+            window.location.href = `/series?id=${item.id}&provider=${provider}`;
+        } else {
+            sessionStorage.setItem('currentChannel', JSON.stringify({
+                id: item.id,
+                name: item.name,
+                icon: item.icon,
+                provider: item.provider
+            }));
+            window.location.href = `/player?id=${item.id}&type=live&provider=${provider}`;
+        }
+    }
+})();
@@ -4,6 +4,9 @@ let seriesList = [];
 let seriesData = null;
 let currentCategory = null;
 let currentSeason = null;
+let currentSeries = null;
+let showSources = false;
+let pager = null;
 
 const loading = document.getElementById('loading');
 const error = document.getElementById('error');
@@ -12,6 +15,8 @@ const categoriesSection = document.getElementById('categories-section');
 const categoriesGrid = document.getElementById('categories-grid');
 const seriesListSection = document.getElementById('series-list-section');
 const seriesGrid = document.getElementById('series-grid');
+const seriesMore = document.getElementById('series-more');
+const sortSelect = document.getElementById('sort-select');
 const categoryTitle = document.getElementById('category-title');
 const seriesDetailSection = document.getElementById('series-detail-section');
 const seriesPoster = document.getElementById('series-poster');
@@ -25,8 +30,22 @@ const episodesGrid = document.getElementById('episodes-grid');
 document.getElementById('back-to-cats').addEventListener('click', showCategories);
 document.getElementById('back-to-list').addEventListener('click', showSeriesList);
 seasonSelect.addEventListener('change', (e) => displayEpisodes(e.target.value));
+sortSelect.addEventListener('change', () => {
+    if (currentCategory !== null) selectCategory(currentCategory);
+});
+Favorites.bind(seriesGrid, 'series', index => seriesList[index]);
 
-document.addEventListener('DOMContentLoaded', loadCategories);
+document.addEventListener('DOMContentLoaded', async () => {
+    Favorites.load();
+    await loadCategories();
+
+    // Deep link from search: /series?id=<series_id>&provider=<provider>
+    const params = new URLSearchParams(window.location.search);
+    const linkedId = params.get('id');
+    if (linkedId && /^\d+$/.test(linkedId)) {
+        openSeries({ id: linkedId, provider: params.get('provider') || '' });
+    }
+});
 
 async function loadCategories() {
     showLoading();
@@ -35,6 +54,7 @@ async function loadCategories() {
         const data = await res.json();
         if (!data.success) throw new Error(data.message || 'Failed to load');
         categories = data.categories || [];
+        showSources = (data.providers || []).length > 1;
         if (categories.length === 0) throw new Error('No categories found');
         renderCategories();
         showCategoriesSection();
@@ -44,48 +64,92 @@ async function loadCategories() {
 }
 
 function renderCategories() {
-    categoriesGrid.innerHTML = categories.map(cat => `
-        <div class="category-card" onclick="selectCategory('${cat.category_id}', '${escapeHtml(cat.category_name)}')">
+    categoriesGrid.innerHTML = `
+        <div class="category-card my-list-card" onclick="showMyList()">
+            <div class="category-icon">❤️</div>
+            <div class="category-name">My List</div>
+        </div>
+    ` + categories.map((cat, index) => `
+        <div class="category-card" onclick="selectCategory(${index})">
             <div class="category-icon">📺</div>
-            <div class="category-name">${cat.category_name}</div>
+            <div class="category-name">${escapeHtml(cat.category_name)}</div>
         </div>
     `).join('');
 }
 
-async function selectCategory(id, name) {
-    currentCategory = { id, name };
+// Pages arrive as the grid scrolls; a merged category is listed in one request across its sources
+async function selectCategory(index) {
+    const category = categories[index];
+    if (!category) return;
+
+    currentCategory = index;
     showLoading();
+    resetPager();
+    sortSelect.hidden = false;
+    pager = createCategoryPager({ section: 'series', key: 'series', category, sort: sortSelect.value, onPage: appendSeries });
     try {
-        const res = await fetch(`${API}/api/series/category/${id}`);
-        const data = await res.json();
-        if (!data.success) throw new Error(data.message || 'Failed to load');
-        seriesList = data.series || [];
-        if (seriesList.length === 0) throw new Error('No series in this category');
-        renderSeriesList();
-        showSeriesListSection(name);
+        const data = await pager.next();
+        if (!data || data.total === 0) throw new Error('No series in this category');
+        showSeriesListSection(category.category_name);
+        pager.observe(seriesMore);
     } catch (e) {
         showError(e.message);
     }
 }
 
-function renderSeriesList() {
-    seriesGrid.innerHTML = seriesList.map(s => `
-        <div class="content-card" onclick="viewSeries(${s.id})">
+// Saved series come from the favorites store, so the list is complete without paging
+async function showMyList() {
+    currentCategory = null;
+    showLoading();
+    resetPager();
+    await Favorites.load();
+
+    sortSelect.hidden = true;
+    appendSeries(Favorites.list('series'), 0);
+    if (seriesList.length === 0) {
+        seriesGrid.innerHTML = '<p class="empty-list">Tap ♥ on any series to add it to your list</p>';
+    }
+    showSeriesListSection('My List');
+}
+
+function resetPager() {
+    if (pager) pager.destroy();
+    pager = null;
+    seriesList = [];
+    seriesGrid.innerHTML = '';
+}
+
+function appendSeries(items, offset) {
+    seriesList = seriesList.concat(items);
+    renderSeriesList(items, offset);
+}
+
+function renderSeriesList(items, offset) {
+    seriesGrid.insertAdjacentHTML('beforeend', items.map((s, i) => `
+        <div class="content-card" onclick="viewSeries(${offset + i})">
             <div class="content-poster">
                 <img src="${s.icon || '/placeholder.jpg'}" alt="${escapeHtml(s.name)}" onerror="this.src='/placeholder.jpg'">
+                ${Favorites.button('series', s, offset + i)}
             </div>
             <div class="content-info">
                 <div class="content-name">${s.name}</div>
-                <div class="content-meta">${s.rating && s.rating !== 'N/A' ? `<span class="rating">★ ${s.rating}</span>` : ''}</div>
+                <div class="content-meta">${s.rating && s.rating !== 'N/A' ? `<span class="rating">★ ${s.rating}</span>` : ''}${showSources && s.source ? `<span class="source-badge">${escapeHtml(s.source)}</span>` : ''}</div>
             </div>
         </div>
-    `).join('');
+    `).join(''));
+}
+
+function viewSeries(index) {
+    const series = seriesList[index];
+    if (series) openSeries(series);
 }
 
-async function viewSeries(id) {
+async function openSeries(series) {
+    currentSeries = series;
     showLoading();
     try {
-        const res = await fetch(`${API}/api/series/${id}/info`);
+        const infoPath = series.provider ? `/api/providers/${encodeURIComponent(series.provider)}/series` : '/api/series';
+        const res = await fetch(`${API}${infoPath}/${encodeURIComponent(series.id)}/info`);
         const data = await res.json();
         if (!data.success) throw new Error(data.message || 'Failed to load');
         seriesData = data.data;
@@ -139,23 +203,27 @@ function displayEpisodes(seasonNum) {
 function playEpisode(id, ext, season, epNum) {
     sessionStorage.setItem('currentEpisode', JSON.stringify({
         id, name: `${seriesData.info?.name || 'Series'} - S${season}E${epNum}`,
-        season, episode: epNum
+        season, episode: epNum, provider: currentSeries?.provider,
+        seriesId: currentSeries?.id, icon: seriesData.info?.cover
     }));
-    window.location.href = `/player?id=${id}&ext=${ext}&type=series`;
+    window.location.href = `/player?id=${id}&ext=${ext}&type=series&provider=${encodeURIComponent(currentSeries?.provider || '')}`;
 }
 
 function escapeHtml(str) {
     if (!str) return '';
-    return str.replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+    return String(str).replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
 }
 
 function showCategories() {
+    resetPager();
     seriesListSection.style.display = 'none';
     seriesDetailSection.style.display = 'none';
     categoriesSection.style.display = 'block';
 }
 
 function showSeriesList() {
+    // Deep-linked series have no list behind them
+    if (seriesList.length === 0) return showCategories();
     seriesDetailSection.style.display = 'none';
     seriesListSection.style.display = 'block';
 }
@@ -200,6 +268,7 @@ function retry() {
 }
 
 window.selectCategory = selectCategory;
+window.showMyList = showMyList;
 window.viewSeries = viewSeries;
 window.playEpisode = playEpisode;
 window.retry = retry;
@@ -0,0 +1,59 @@
+// ==========================================
+// IPTV SESSION
+// Sign-out button in the header; expired sessions send the user back to /login
+// ==========================================
+
+(function () {
+    'use strict';
+
+    const API = window.location.origin;
+
+    function redirectToLogin() {
+        const next = window.location.pathname + window.location.search;
+        window.location.href = `/login?next=${encodeURIComponent(next)}`;
+    }
+
+    // Any same-origin API call rejected with 401 means the session ran out mid-visit
+    const nativeFetch = window.fetch.bind(window);
+    window.fetch = async (input, init) => {
+        const response = await nativeFetch(input, init);
+        const url = new URL(typeof input === 'string' ? input : input.url, API);
+
+        if (response.status === 401 && url.origin === API && url.pathname.startsWith('/api/') && !url.pathname.startsWith('/api/auth/')) {
+            redirectToLogin();
+        }
+        return response;
+    };
+
+    async function signOut() {
+        try {
+            await nativeFetch(`${API}/api/auth/logout`, { method: 'POST' });
+        } finally {
+            sessionStorage.clear();
+            window.location.href = '/login';
+        }
+    }
+
+    async function init() {
+        const header = document.querySelector('.header-content');
+        if (!header) return;
+
+        try {
+            const res = await nativeFetch(`${API}/api/auth/me`);
+            const data = await res.json();
+            if (!data.success || !data.user) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'nav-link sign-out-btn';
+            button.textContent = 'Sign out';
+            button.title = `Signed in as ${data.user.username}`;
+            button.addEventListener('click', signOut);
+            header.appendChild(button);
+        } catch (e) {
+            // Without session info the header simply has no sign-out button
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', init);
+})();
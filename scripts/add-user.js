@@ -0,0 +1,45 @@
+'use strict';
+
+// ==========================================
+// ADD USER
+// Usage: npm run user:add -- <username> [--admin]
+// The password is read from the USER_PASSWORD variable or prompted for
+// ==========================================
+
+const readline = require('readline');
+const { createUser } = require('../lib/users');
+
+function promptPassword(question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        // Echo the prompt but not the typed characters
+        rl._writeToOutput = text => {
+            if (text.includes(question)) process.stdout.write(text);
+        };
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const username = args.find(arg => !arg.startsWith('--'));
+    const role = args.includes('--admin') ? 'admin' : 'user';
+
+    if (!username) {
+        console.error('Usage: npm run user:add -- <username> [--admin]');
+        process.exit(1);
+    }
+
+    const password = process.env.USER_PASSWORD || await promptPassword(`Password for ${username}: `);
+    const user = await createUser(username, password, { role });
+    console.log(`✓ Created ${user.role} "${user.username}"`);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+// ==========================================
+// LIVE SEGMENT PROXY
+// /stream/live-segment must only ever fetch provider URLs it signed itself
+// ==========================================
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+let provider;
+let server;
+let baseUrl;
+let signStreamToken;
+let assertPublicHost;
+let guardedLookup;
+const providerHits = [];
+
+function listen(target) {
+    return new Promise(resolve => target.listen(0, '127.0.0.1', () => resolve(target.address().port)));
+}
+
+function close(target) {
+    return new Promise(resolve => target.close(resolve));
+}
+
+function getSegment(token) {
+    return fetch(`${baseUrl}/stream/live-segment?token=${encodeURIComponent(token)}`, { redirect: 'manual' });
+}
+
+before(async () => {
+    // The provider is addressed as "localhost"; 127.0.0.1 is the same machine under a name it does not own
+    provider = http.createServer((req, res) => {
+        providerHits.push(req.url);
+        if (req.url === '/segment.ts') {
+            res.writeHead(200, { 'Content-Type': 'video/mp2t' });
+            return res.end('SEGMENT');
+        }
+        if (req.url === '/redirect-private') {
+            res.writeHead(302, { Location: `http://127.0.0.1:${provider.address().port}/internal` });
+            return res.end();
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    const providerPort = await listen(provider);
+
+    Object.assign(process.env, {
+        IPTV_SERVER_URL: `http://localhost:${providerPort}`,
+        IPTV_USERNAME: 'user',
+        IPTV_PASSWORD: 'pass',
+        STREAM_TOKEN_SECRET: 'test-stream-token-secret-0123456789abcdef',
+        AUTH_SECRET: 'test-auth-secret-0123456789abcdef0123456789',
+        DATA_DIR: path.join(os.tmpdir(), `iptv-test-${process.pid}`),
+        CATALOG_SNAPSHOTS: 'false',
+        LOG_LEVEL: 'error'
+    });
+
+    ({ signStreamToken, assertPublicHost, guardedLookup } = require('../lib/streamTokens'));
+    const { createApp } = require('../lib/app');
+
+    server = http.createServer(createApp());
+    baseUrl = `http://127.0.0.1:${await listen(server)}`;
+});
+
+after(async () => {
+    await close(server);
+    await close(provider);
+});
+
+describe('GET /stream/live-segment', () => {
+    it('proxies a signed provider segment', async () => {
+        const res = await getSegment(signStreamToken(`${process.env.IPTV_SERVER_URL}/segment.ts`));
+        assert.equal(res.status, 200);
+        assert.equal(await res.text(), 'SEGMENT');
+    });
+
+    it('rejects a forged token', async () => {
+        const res = await getSegment('bm90LWEtdG9rZW4.c2lnbmF0dXJl');
+        assert.equal(res.status, 403);
+    });
+
+    it('rejects a token without a signature', async () => {
+        const res = await getSegment('');
+        assert.equal(res.status, 403);
+    });
+
+    it('rejects an expired token', async () => {
+        const now = Date.now();
+        const clock = mock.method(Date, 'now', () => now - 7 * 86400000);
+        const token = signStreamToken(`${process.env.IPTV_SERVER_URL}/segment.ts`);
+        clock.mock.restore();
+
+        const res = await getSegment(token);
+        assert.equal(res.status, 403);
+    });
+
+    it('rejects a tampered token', async () => {
+        const [data, signature] = signStreamToken(`${process.env.IPTV_SERVER_URL}/segment.ts`).split('.');
+        const bytes = Buffer.from(data, 'base64url');
+        bytes[bytes.length - 1] ^= 0x01;
+
+        const res = await getSegment(`${bytes.toString('base64url')}.${signature}`);
+        assert.equal(res.status, 403);
+    });
+
+    it('rejects a signed target on a host that is not a provider', async () => {
+        const res = await getSegment(signStreamToken('http://attacker.example.com/segment.ts'));
+        assert.equal(res.status, 403);
+    });
+
+    it('rejects private literal addresses that are not provider hosts', async () => {
+        for (const target of ['http://127.0.0.1/segment.ts', 'http://10.0.0.5/segment.ts', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/segment.ts']) {
+            const res = await getSegment(signStreamToken(target));
+            assert.equal(res.status, 403, target);
+        }
+    });
+
+    it('does not follow a provider redirect to a private address', async () => {
+        providerHits.length = 0;
+        const res = await getSegment(signStreamToken(`${process.env.IPTV_SERVER_URL}/redirect-private`));
+
+        assert.notEqual(res.status, 200);
+        assert.deepEqual(providerHits, ['/redirect-private']);
+    });
+});
+
+// Provider hosts (and IPTV_ALLOWED_HOSTS) are exempt, so the address checks are exercised with other names
+describe('private address guards', () => {
+    const PRIVATE_LITERALS = ['127.0.0.1', '10.0.0.5', '169.254.169.254', '192.168.1.1', '[::1]', '::ffff:127.0.0.1', 'fe80::1'];
+
+    function lookup(hostname) {
+        return new Promise((resolve, reject) => {
+            guardedLookup(hostname, {}, (err, address) => (err ? reject(err) : resolve(address)));
+        });
+    }
+
+    it('blocks private and loopback literal addresses', () => {
+        for (const host of PRIVATE_LITERALS) {
+            assert.throws(() => assertPublicHost(host), /Blocked private address/, host);
+        }
+    });
+
+    it('lets public addresses and provider hosts through', () => {
+        assert.doesNotThrow(() => assertPublicHost('93.184.216.34'));
+        assert.doesNotThrow(() => assertPublicHost('2606:2800:220:1::'));
+        assert.doesNotThrow(() => assertPublicHost('localhost'));
+    });
+
+    it('blocks names that resolve to a private address', async (t) => {
+        t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, '169.254.169.254', 4));
+        await assert.rejects(lookup('metadata.attacker.example.com'), /Blocked private address/);
+    });
+
+    it('resolves names that point to public addresses', async (t) => {
+        t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, '93.184.216.34', 4));
+        assert.equal(await lookup('cdn.example.com'), '93.184.216.34');
+    });
+});
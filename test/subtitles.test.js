@@ -0,0 +1,94 @@
+'use strict';
+
+// ==========================================
+// SUBTITLE CONVERSION
+// Uploads are stored and served as WebVTT whatever format they came in
+// ==========================================
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+let toWebVtt;
+
+before(() => {
+    Object.assign(process.env, {
+        IPTV_SERVER_URL: 'http://localhost:8080',
+        IPTV_USERNAME: 'user',
+        IPTV_PASSWORD: 'pass',
+        STREAM_TOKEN_SECRET: 'test-stream-token-secret-0123456789abcdef',
+        AUTH_SECRET: 'test-auth-secret-0123456789abcdef0123456789',
+        DATA_DIR: path.join(os.tmpdir(), `iptv-test-${process.pid}`),
+        CATALOG_SNAPSHOTS: 'false',
+        LOG_LEVEL: 'error'
+    });
+
+    ({ toWebVtt } = require('../lib/subtitles'));
+});
+
+describe('toWebVtt', () => {
+    it('converts SRT, keeping only the tags WebVTT understands', () => {
+        const srt = [
+            '1',
+            '00:00:01,000 --> 00:00:02,500',
+            '<i>Hello</i> <font color="red">there</font>',
+            '',
+            '2',
+            '00:01:02,030 --> 01:00:00,000',
+            'Fish & chips <b>{\\an8}now</b>',
+            ''
+        ].join('\r\n');
+
+        assert.equal(toWebVtt(srt), [
+            'WEBVTT',
+            '',
+            '00:00:01.000 --> 00:00:02.500',
+            '<i>Hello</i> there',
+            '',
+            '00:01:02.030 --> 01:00:00.000',
+            'Fish &amp; chips <b>now</b>',
+            ''
+        ].join('\n'));
+    });
+
+    it('converts ASS dialogue using the Format line, in start order', () => {
+        const ass = [
+            '[Script Info]',
+            'Title: Test',
+            '',
+            '[V4+ Styles]',
+            'Format: Name, Fontname',
+            'Style: Default,Arial',
+            '',
+            '[Events]',
+            'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+            'Dialogue: 0,0:00:05.00,0:00:06.50,Default,,0,0,0,,Second, with a comma',
+            'Dialogue: 0,0:00:01.25,0:00:02.00,Default,,0,0,0,,{\\i1}First{\\i0}\\Nline two',
+            'Comment: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,Not shown'
+        ].join('\n');
+
+        assert.equal(toWebVtt(ass), [
+            'WEBVTT',
+            '',
+            '00:00:01.250 --> 00:00:02.000',
+            'First',
+            'line two',
+            '',
+            '00:00:05.000 --> 00:00:06.500',
+            'Second, with a comma',
+            ''
+        ].join('\n'));
+    });
+
+    it('passes WebVTT through, minus the byte order mark and CRLF line endings', () => {
+        const vtt = '\uFEFFWEBVTT\r\n\r\n00:00:01.000 --> 00:00:02.000 align:start\r\n<c.yellow>Hi</c>';
+        assert.equal(toWebVtt(vtt), 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000 align:start\n<c.yellow>Hi</c>\n');
+    });
+
+    it('rejects files with no usable cues', () => {
+        assert.equal(toWebVtt('just some text\nwithout any timings'), null);
+        assert.equal(toWebVtt('1\nnot a time --> either\nText'), null);
+        assert.equal(toWebVtt(''), null);
+    });
+});